@@ -1,12 +1,48 @@
 /*
 Bashins Budget - JavaScript Logic
-Komplett state management, localStorage operations, rendering och event handling
+Komplett state management, lagring (IndexedDB/localStorage), rendering och event handling
 Alla funktioner för budget-tracking, utgifter, inkomster och data persistence
 */
 
 // ===== KONSTANTER & STATE =====
 const LS_KEY = 'bashinsBudgetData_v1';
 
+// IndexedDB: utgifter och inkomster lagras som egna poster, resten av datan i 'meta'
+const DB_NAME = 'bashinsBudget';
+const DB_VERSION = 2;
+const RECORD_STORES = ['expenses', 'incomes'];
+
+// Väntetid (ms) innan en sparning skrivs, så att snabba ändringar i rad blir en skrivning
+const SAVE_DELAY = 300;
+
+// Version av datans format. Höj när formatet ändras och lägg till en migrering i MIGRATIONS.
+const SCHEMA_VERSION = 2;
+
+// Automatiska säkerhetskopior: en per dag, de senaste BACKUP_LIMIT sparas
+const BACKUP_KEY = 'bashinsBudgetBackups_v1';
+const BACKUP_LIMIT = 7;
+
+// Kvittofoton: förminskas till högst RECEIPT_MAX_SIZE px och sparas som JPEG utanför state
+// (i IndexedDB, eller under RECEIPT_KEY i localStorage när IndexedDB saknas)
+const RECEIPT_KEY = 'bashinsBudgetReceipts_v1';
+const RECEIPT_MAX_SIZE = 1600;
+const RECEIPT_QUALITY = 0.7;
+
+// Kryptering (export och applås): nyckel ur lösenfrasen med PBKDF2-SHA-256, data med AES-GCM
+const KDF_ITERATIONS = 600000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Profiler: listan sparas i localStorage, varje profil har egen lagring (se getProfileStorageNames).
+// Data från innan profiler fanns hör till standardprofilen.
+const PROFILES_KEY = 'bashinsBudgetProfiles_v1';
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE_NAME = 'Min budget';
+const MAX_PROFILE_NAME_LENGTH = 40;
+
+// Ångra-historiken ligger i sessionStorage så att den överlever omladdning men inte tar plats för alltid
+const UNDO_KEY = 'bashinsBudgetUndo_v1';
+const UNDO_LIMIT = 20;
+
 // Standard data struktur
 const DEFAULT = {
     expenseCategories: [
@@ -14,16 +50,138 @@ const DEFAULT = {
         'Kläder', 'Presenter', 'Resor', 'Hälsa & träning', 'Sparande', 'Övrigt'
     ],
     incomeCategories: ['CSN', 'Jobb', 'Extra'],
-    budgets: {},             // objekt: kategori -> nummer
-    expenses: [],            // array av { id, category, amount, desc, date }
-    incomes: []              // array av { id, source, amount, date }
+    budgets: {},             // objekt: månad (YYYY-MM) -> { kategori -> nummer }
+    rollover: {},            // objekt: kategori -> true om saldot ska föras vidare till nästa månad
+    warningThresholds: {},   // objekt: kategori -> procent av budgeten då varning visas (standard 80)
+    csvMapping: {},          // objekt: { date, desc, amount } -> kolumnnamn i bankens CSV
+    categoryRules: {},       // objekt: nyckelord från beskrivning (t.ex. "ICA") -> kategori
+    recurring: [],           // array av mallar, se createRecurringTemplate
+    goals: [],               // array av { id, name, target, deadline (YYYY-MM) }
+    goalContributions: [],   // array av { id, goalId, amount, desc, date } - insättningar utanför utgifterna
+    exchangeRates: {},       // objekt: valutakod -> senast använda kurs (kr per 1 enhet)
+    people: [],              // array av namn på de som delar utgifter
+    settlements: [],         // array av { id, from, to, amount, date } - "from" har betalat "to"
+    expenses: [],            // array av { id, category, amount (kr), desc, date, recurringId?, goalId?, paidBy?, split?,
+                             //            currency?, originalAmount?, rate?, receipts? } - valutafälten bara för utländsk valuta,
+                             //            receipts är id för kvittofoton som sparas för sig (se KVITTON)
+    incomes: []              // array av { id, source, amount, desc, date }
 };
 
 // Global app state
-let state = { ...DEFAULT };
+let state = createDefaultState();
+
+// Profiler: { active: id, list: [{ id, name }] }
+let profiles = loadProfiles();
+
+// Vald månad (YYYY-MM) som dashboarden visar
+let selectedMonth = getMonthKey(new Date());
+
+// Inläst men ännu inte bekräftad import och dess kvittobilder (se onImportFileSelected)
+let pendingImport = null;
+let pendingImportReceipts = {};
+
+// Inläst kontoutdrag: { fileName, headers, rows } och rader under granskning
+let pendingCsv = null;
+let csvReviewRows = [];
+
+// Filter, sortering och sida för historikvyn
+let historyFilters = {
+    query: '',
+    type: 'all',          // 'all', 'expense' eller 'income'
+    category: '',         // 'expense:Mat', 'income:CSN' eller tom för alla
+    tag: '',              // tagg utan # eller tom för alla
+    minAmount: '',
+    maxAmount: '',
+    from: '',
+    to: '',
+    sortKey: 'date',      // 'date', 'type', 'name', 'desc' eller 'amount'
+    sortDir: 'desc',
+    page: 1
+};
+const HISTORY_PAGE_SIZE = 20;
+
+// Hur länge toasts visas (ms) och hur många som får visas samtidigt
+const TOAST_DURATIONS = { success: 3000, info: 4000, error: 7000 };
+const MAX_TOASTS = 3;
+
+// Valutor för utgifter. Alla summor och budgetar räknas i BASE_CURRENCY.
+const BASE_CURRENCY = 'SEK';
+const CURRENCIES = [BASE_CURRENCY, 'EUR', 'USD', 'GBP', 'NOK', 'DKK', 'CHF'];
+
+// Sätt att dela en utgift: split.shares är 1 per deltagare, procent eller belopp i kr
+const SPLIT_MODES = { equal: 'Lika', percent: 'Procent', exact: 'Belopp' };
+
+// Taggar på utgifter: bokstäver, siffror, _ och -, sparas utan # och med små bokstäver
+const TAG_PATTERN = /[\p{L}\p{N}_-]+/gu;
+
+// Antal utgifter under "Största utgifterna" i rapporten
+const REPORT_TOP_EXPENSES = 10;
+
+// Prognosen: antal månader framåt, och hur många hela månader bakåt som snittet av rörliga utgifter bygger på
+const FORECAST_MONTHS = 12;
+const FORECAST_HISTORY_MONTHS = 3;
+
+// Standardgräns i procent av budgeten då en kategori varnar
+const DEFAULT_WARNING_THRESHOLD = 80;
+
+// Inställningar för analysdelen: antal månader bakåt och kategori för budget mot utfall
+let analyticsSettings = { months: 6, category: '' };
+
+// Återkommande mall som redigeras (null = ny mall) och antal bokförda vid senaste laddning
+let editingRecurringId = null;
+let recurringPostedOnLoad = 0;
+
+// Sparmål som redigeras (null = nytt mål) och mål som insättningsdialogen gäller
+let editingGoalId = null;
+let contributingGoalId = null;
+
+// Obesvarad bekräftelsedialog: { resolve, returnFocus } och frågor som väntar på sin tur
+let pendingConfirm = null;
+const confirmQueue = [];
+
+// Öppen lösenfrasdialog: { resolve, options, returnFocus }
+let pendingPassphrase = null;
+
+// Applåset: { key, salt, iterations } som sparad data krypteras med, null när låset är av
+let appLock = null;
+
+// Ångra/gör om: ögonblicksbilder av state, nyast sist
+let undoStack = [];
+let redoStack = [];
+
+// Transaktion som redigeras i ändringsdialogen: { type: 'expense'|'income', id }
+let editingTransaction = null;
+
+// Kvitton i utgiftsformuläret och ändringsdialogen som inte sparats än: { id } för sparade, { image } för nya
+let receiptDrafts = { expense: [], edit: [] };
+
+// Fördelning på flera kategorier i utgiftsformuläret och ändringsdialogen: { category, amount } där amount är text
+let allocationDrafts = { expense: [], edit: [] };
+
+// Kategori som väntar på att dess transaktioner flyttas innan den tas bort: { type, name }
+let categoryPendingDelete = null;
 
 // Variabel för att spåra osparade ändringar
 let hasUnsavedChanges = false;
+
+// Utgifter och överföringar per kategori medan renderAll eller exporten räknar (se withBudgetLedger)
+let budgetLedger = null;
+
+// Lagringen (öppnas vid första användning), schemalagd sparning och kön av skrivningar
+let storageBackendPromise = null;
+let saveTimer = null;
+let saveQueue = Promise.resolve(true);
+
+// Kvitton som har sparats innan deras utgift finns i state, och om kvittostädningen
+// behöver köras vid nästa sparning (se collectReceiptGarbage)
+const unattachedReceiptIds = new Set();
+let receiptCleanupNeeded = true;
+
+// Datum (YYYY-MM-DD) då dagens automatiska säkerhetskopia redan finns
+let lastAutoBackupDate = null;
+
+// true när användaren valt att byta till en ny version av appen (se applyAppUpdate)
+let appUpdateRequested = false;
 let reminderTimer = null;
 
 // ===== HJÄLPFUNKTIONER =====
@@ -60,13 +218,159 @@ function generateId() {
 }
 
 /**
- * Visar användarmeddelande
+ * Skapar en ny, fristående kopia av standarddatan
+ * (så att push på state.expenses inte ändrar DEFAULT)
+ * @returns {Object} Ny state
+ */
+function createDefaultState() {
+    return JSON.parse(JSON.stringify(DEFAULT));
+}
+
+/**
+ * Visar användarmeddelande som en toast som försvinner av sig själv
  * @param {string} message - Meddelande att visa
  * @param {string} type - Typ av meddelande ('success', 'error', 'info')
+ * @param {Object} options - { action: { label, onClick } } för en knapp i toasten, t.ex. "Ångra",
+ *                           persistent: true för att visa toasten tills den stängs
+ * @returns {HTMLElement|null} Toasten
+ */
+function showMessage(message, type = 'info', options = {}) {
+    const container = document.getElementById('toastContainer');
+    if (!container) {
+        console.log(`[${type}] ${message}`);
+        return null;
+    }
+    
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${TOAST_DURATIONS[type] ? type : 'info'}`;
+    if (options.persistent) toast.classList.add('toast-persistent');
+    // Fel läses upp direkt, övriga när skärmläsaren är ledig
+    toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    
+    const text = document.createElement('span');
+    text.className = 'toast-message';
+    text.textContent = message;
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'toast-close';
+    closeBtn.textContent = '×';
+    closeBtn.setAttribute('aria-label', 'Stäng meddelandet');
+    closeBtn.addEventListener('click', () => dismissToast(toast));
+    
+    toast.appendChild(text);
+    
+    if (options.action) {
+        const actionBtn = document.createElement('button');
+        actionBtn.className = 'toast-action';
+        actionBtn.textContent = options.action.label;
+        actionBtn.addEventListener('click', () => {
+            dismissToast(toast);
+            options.action.onClick();
+        });
+        toast.appendChild(actionBtn);
+    }
+    
+    toast.appendChild(closeBtn);
+    container.appendChild(toast);
+    
+    // Gamla toasts tas bort så att skärmen inte fylls vid snabb inmatning.
+    // Bestående toasts (t.ex. om en ny version) ligger kvar tills de stängs.
+    const evictable = [...container.children].filter(el => el !== toast && !el.classList.contains('toast-persistent'));
+    while (container.children.length > MAX_TOASTS && evictable.length > 0) {
+        dismissToast(evictable.shift());
+    }
+    
+    if (!options.persistent) {
+        toast.dismissTimer = setTimeout(() => dismissToast(toast), TOAST_DURATIONS[type] || TOAST_DURATIONS.info);
+    }
+    return toast;
+}
+
+/**
+ * Tar bort en toast
+ * @param {HTMLElement} toast - Toasten
+ */
+function dismissToast(toast) {
+    if (!toast) return;
+    clearTimeout(toast.dismissTimer);
+    toast.remove();
+}
+
+/**
+ * Visar en bekräftelsedialog i sidan istället för confirm()
+ * @param {string} message - Frågan som ska visas
+ * @param {Object} options - { title, confirmLabel, cancelLabel, danger }
+ * @returns {Promise<boolean>} true om användaren bekräftar
+ */
+function confirmDialog(message, options = {}) {
+    const dialog = document.getElementById('confirmDialog');
+    if (!dialog) {
+        return Promise.resolve(window.confirm(message));
+    }
+    
+    // En fråga åt gången - nya frågor väntar tills den som visas är besvarad
+    return new Promise(resolve => {
+        confirmQueue.push({ message, options, resolve });
+        if (!pendingConfirm) showNextConfirm(document.activeElement);
+    });
+}
+
+/**
+ * Visar nästa fråga i kön i bekräftelsedialogen
+ * @param {HTMLElement|null} returnFocus - Element som får fokus när kön är tom
+ */
+function showNextConfirm(returnFocus) {
+    const { message, options, resolve } = confirmQueue.shift();
+    
+    document.getElementById('confirmDialogTitle').textContent = options.title || 'Är du säker?';
+    document.getElementById('confirmDialogMessage').textContent = message;
+    
+    const okBtn = document.getElementById('confirmOkBtn');
+    okBtn.textContent = options.confirmLabel || 'OK';
+    okBtn.className = options.danger ? 'btn btn-danger' : 'btn btn-primary';
+    document.getElementById('confirmCancelBtn').textContent = options.cancelLabel || 'Avbryt';
+    
+    pendingConfirm = { resolve, returnFocus };
+    document.getElementById('confirmDialog').hidden = false;
+    okBtn.focus();
+}
+
+/**
+ * Stänger bekräftelsedialogen och besvarar frågan. Väntar fler frågor visas nästa direkt.
+ * @param {boolean} result - Svaret
+ */
+function closeConfirmDialog(result) {
+    if (!pendingConfirm) return;
+    
+    const { resolve, returnFocus } = pendingConfirm;
+    pendingConfirm = null;
+    resolve(result);
+    
+    if (confirmQueue.length > 0) {
+        showNextConfirm(returnFocus);
+        return;
+    }
+    document.getElementById('confirmDialog').hidden = true;
+    returnFocus?.focus?.();
+}
+
+/**
+ * Laddar ner innehåll som en fil via en temporär länk
+ * @param {string} content - Filens innehåll
+ * @param {string} fileName - Filnamn
+ * @param {string} type - MIME-typ
  */
-function showMessage(message, type = 'info') {
-    // Enkel alert för nu, kan utökas med toast-komponent senare
-    alert(message);
+function downloadFile(content, fileName, type) {
+    const dataBlob = new Blob([content], { type });
+    const url = URL.createObjectURL(dataBlob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
 }
 
 /**
@@ -113,552 +417,8049 @@ function clearReminderTimer() {
 /**
  * Visar påminnelse om att spara
  */
-function showReminder() {
-    const shouldSave = confirm('Har du kommit ihåg att spara din budget/dina utgifter?');
+async function showReminder() {
+    const shouldSave = await confirmDialog('Har du kommit ihåg att spara din budget/dina utgifter?', {
+        title: '💾 Påminnelse',
+        confirmLabel: 'Spara nu',
+        cancelLabel: 'Inte nu'
+    });
     
     if (shouldSave) {
         // Användaren bekräftar att de ska spara
-        saveState();
-        markSavedChanges();
-        showMessage('Perfekt! Budgeten och utgifterna är sparade. 💛', 'success');
+        if (saveState() && await flushSave()) {
+            showMessage('Perfekt! Budgeten och utgifterna är sparade. 💛', 'success');
+        }
     } else {
         // Användaren vill inte spara just nu, starta timer igen
         startReminderTimer();
     }
 }
 
-// ===== LOCALSTORAGE OPERATIONER =====
+// ===== LAGRING =====
 
 /**
- * Sparar aktuell state till localStorage
+ * Gemensamt gränssnitt för lagringen. IndexedDB används i första hand och
+ * localStorage när IndexedDB saknas eller inte går att öppna.
+ * @typedef {Object} StorageBackend
+ * @property {string} name - 'indexeddb' eller 'localstorage'
+ * @property {function(): Promise<Object|null>} load - Hela sparade datan (med schemaVersion) eller null
+ * @property {function(Object): Promise<void>} save - Sparar hela datan
+ * @property {function(): Promise<void>} clear - Tar bort sparad data (säkerhetskopiorna finns kvar)
+ * @property {function(): Promise<Array<Object>>} loadBackups - Säkerhetskopior, nyast först
+ * @property {function(Array<Object>): Promise<void>} saveBackups - Ersätter alla säkerhetskopior
+ * @property {function(string): Promise<*>} loadReceipt - Ett kvitto (data-URL, eller krypterat med applåset) eller null
+ * @property {function(Object): Promise<void>} saveReceipts - Sparar kvitton: id -> data
+ * @property {function(): Promise<Array<string>>} listReceipts - Id för alla sparade kvitton
+ * @property {function(Array<string>): Promise<void>} deleteReceipts - Tar bort kvitton
+ * @property {function(): void} close - Stänger lagringen (när en annan profil öppnas)
  */
-function saveState() {
-    try {
-        // Dubbel-kontroll: se till att state är giltigt innan sparning
-        if (!state || typeof state !== 'object') {
-            console.error('Ogiltig state, kan inte sparas');
-            return false;
+
+/**
+ * Lagring i localStorage: all data som en JSON-sträng
+ * @param {Object} names - Profilens lagringsnamn från getProfileStorageNames
+ * @returns {StorageBackend}
+ */
+function createLocalStorageBackend(names) {
+    const readReceipts = () => JSON.parse(localStorage.getItem(names.receipts) || '{}');
+    const writeReceipts = (receipts) => {
+        if (Object.keys(receipts).length === 0) {
+            localStorage.removeItem(names.receipts);
+            return;
         }
+        localStorage.setItem(names.receipts, JSON.stringify(receipts));
+    };
+    
+    return {
+        name: 'localstorage',
         
-        const stateString = JSON.stringify(state);
-        if (!stateString || stateString === '{}') {
-            console.error('Tom eller ogiltig state data');
-            return false;
-        }
+        async load() {
+            const saved = localStorage.getItem(names.data);
+            return saved ? JSON.parse(saved) : null;
+        },
         
-        localStorage.setItem(LS_KEY, stateString);
+        async save(doc) {
+            const json = JSON.stringify(doc);
+            localStorage.setItem(names.data, json);
+            
+            // Verifiera att det faktiskt sparades
+            if (localStorage.getItem(names.data) !== json) {
+                throw new Error('Kunde inte verifiera sparning');
+            }
+        },
         
-        // Verifiera att det faktiskt sparades
-        const verification = localStorage.getItem(LS_KEY);
-        if (verification === stateString) {
-            markSavedChanges(); // Markera att ändringar är sparade
-            console.log('State säkert sparad till localStorage:', state);
-            return true;
-        } else {
-            console.error('Kunde inte verifiera sparning');
-            return false;
-        }
-    } catch (error) {
-        console.error('Fel vid sparande till localStorage:', error);
-        showMessage('Kunde inte spara data. Kontrollera att webbläsaren har tillräckligt med utrymme.', 'error');
-        return false;
-    }
+        async clear() {
+            localStorage.removeItem(names.data);
+        },
+        
+        async loadBackups() {
+            const backups = JSON.parse(localStorage.getItem(names.backups) || '[]');
+            return Array.isArray(backups) ? backups : [];
+        },
+        
+        async saveBackups(backups) {
+            if (backups.length === 0) {
+                localStorage.removeItem(names.backups);
+                return;
+            }
+            localStorage.setItem(names.backups, JSON.stringify(backups));
+        },
+        
+        async loadReceipt(id) {
+            return readReceipts()[id] ?? null;
+        },
+        
+        async saveReceipts(receipts) {
+            writeReceipts({ ...readReceipts(), ...receipts });
+        },
+        
+        async listReceipts() {
+            return Object.keys(readReceipts());
+        },
+        
+        async deleteReceipts(ids) {
+            const receipts = readReceipts();
+            ids.forEach(id => delete receipts[id]);
+            writeReceipts(receipts);
+        },
+        
+        close() {}
+    };
 }
 
 /**
- * Laddar state från localStorage eller använder default
+ * Gör om en IndexedDB-förfrågan till ett promise
+ * @param {IDBRequest} request - Förfrågan
+ * @returns {Promise<*>} Förfrågans resultat
  */
-function loadState() {
-    try {
-        const saved = localStorage.getItem(LS_KEY);
-        if (saved) {
-            const parsed = JSON.parse(saved);
-            // Validera att sparad data har rätt struktur
-            if (parsed && typeof parsed === 'object') {
-                state = {
-                    expenseCategories: parsed.expenseCategories || DEFAULT.expenseCategories,
-                    incomeCategories: parsed.incomeCategories || DEFAULT.incomeCategories,
-                    budgets: parsed.budgets || {},
-                    expenses: parsed.expenses || [],
-                    incomes: parsed.incomes || []
-                };
-                console.log('State laddad från localStorage');
-                return true;
-            }
-        }
-    } catch (error) {
-        console.error('Fel vid laddning från localStorage:', error);
-        showMessage('Kunde inte ladda sparad data. Använder standardinställningar.', 'error');
-    }
-    
-    // Fallback till default data
-    state = { ...DEFAULT };
-    return false;
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
 }
 
 /**
- * Återställer state till default och rensar localStorage
+ * Väntar tills en IndexedDB-transaktion är klar
+ * @param {IDBTransaction} transaction - Transaktionen
+ * @returns {Promise<void>}
  */
-function resetState() {
-    if (confirm('Är du säker på att du vill återställa all data? Detta kan inte ångras.')) {
-        try {
-            localStorage.removeItem(LS_KEY);
-            state = { ...DEFAULT };
-            showMessage('All data har återställts till standardinställningar.', 'success');
-            renderAll();
-        } catch (error) {
-            console.error('Fel vid återställning:', error);
-            showMessage('Kunde inte återställa data.', 'error');
-        }
-    }
+function idbTransactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Skrivningen avbröts'));
+    });
 }
 
-// ===== RENDERING FUNKTIONER =====
-
 /**
- * Huvudrenderare - anropar alla underfunktioner
+ * Öppnar databasen och skapar tabellerna första gången
+ * @param {string} name - Databasens namn
+ * @returns {Promise<IDBDatabase>}
  */
-function renderAll() {
-    populateExpenseSelect();
-    renderBudgetTable();
-    renderTxList();
-    renderIncomeList();
-    updateTotals();
+function openDatabase(name) {
+    if (!window.indexedDB) {
+        return Promise.reject(new Error('IndexedDB stöds inte i den här webbläsaren'));
+    }
+    
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = (e) => {
+        const db = request.result;
+        if (e.oldVersion < 1) {
+            db.createObjectStore('meta');
+            RECORD_STORES.forEach(name => db.createObjectStore(name, { keyPath: 'id' }));
+            db.createObjectStore('backups', { keyPath: 'id' });
+        }
+        // v2: kvittofoton
+        if (e.oldVersion < 2) {
+            db.createObjectStore('receipts', { keyPath: 'id' });
+        }
+    };
+    return idbRequest(request);
 }
 
 /**
- * Fyller expense category select med kategorier
+ * Jämför transaktioner med det som senast skrevs och tar fram vad som ändrats
+ * @param {Map|null} previous - Nyckel -> { id, json } från senaste skrivningen (null = inget känt)
+ * @param {Array<Object>} records - Transaktionerna nu
+ * @returns {Object} { next: Map, put: poster att skriva, remove: id att ta bort }
  */
-function populateExpenseSelect() {
-    const select = document.getElementById('expenseCategory');
-    if (!select) return;
-    
-    select.innerHTML = '';
-    state.expenseCategories.forEach(category => {
-        const option = document.createElement('option');
-        option.value = category;
-        option.textContent = category;
-        select.appendChild(option);
+function diffRecords(previous, records) {
+    const next = new Map();
+    const put = [];
+    records.forEach(record => {
+        // Bara strängar och tal duger som nyckel (poster utan id tas ändå bort av normalizeState)
+        const id = record?.id;
+        if (typeof id !== 'string' && !Number.isFinite(id)) return;
+        
+        // Typen ingår i nyckeln så att 1 och '1' inte blandas ihop
+        const key = `${typeof id}:${id}`;
+        const json = JSON.stringify(record);
+        next.set(key, { id, json });
+        if (previous?.get(key)?.json !== json) put.push(record);
     });
+    
+    const remove = previous
+        ? [...previous.entries()].filter(([key]) => !next.has(key)).map(([, entry]) => entry.id)
+        : [];
+    return { next, put, remove };
 }
 
 /**
- * Renderar budget tabellen med alla kategorier
+ * Lagring i IndexedDB. Varje utgift och inkomst är en egen post så att en sparning
+ * bara skriver det som ändrats sedan förra gången, även med många års historik.
+ * Övrig data (kategorier, budgetar, mål osv.) ligger i en post i 'meta'.
+ * @param {IDBDatabase} db - Öppen databas
+ * @returns {StorageBackend}
  */
-function renderBudgetTable() {
-    const tbody = document.getElementById('budgetBody');
-    if (!tbody) return;
+function createIndexedDbBackend(db) {
+    // Det som senast lästes/skrevs: { meta: JSON, expenses: Map, incomes: Map }. null = okänt, skriv om allt.
+    let persisted = null;
+    const dataStores = ['meta', ...RECORD_STORES];
     
-    tbody.innerHTML = '';
+    // Tas profilen bort i en annan flik får den inte blockeras av den här
+    db.onversionchange = () => db.close();
     
-    state.expenseCategories.forEach(category => {
-        const row = document.createElement('tr');
+    return {
+        name: 'indexeddb',
         
-        // Kategori
-        const catCell = document.createElement('td');
-        catCell.textContent = category;
-        row.appendChild(catCell);
+        async load() {
+            const transaction = db.transaction(dataStores, 'readonly');
+            const [meta, expenses, incomes] = await Promise.all([
+                idbRequest(transaction.objectStore('meta').get('state')),
+                idbRequest(transaction.objectStore('expenses').getAll()),
+                idbRequest(transaction.objectStore('incomes').getAll())
+            ]);
+            
+            if (!meta && expenses.length === 0 && incomes.length === 0) {
+                persisted = null;
+                return null;
+            }
+            
+            persisted = {
+                meta: JSON.stringify(meta || {}),
+                expenses: diffRecords(null, expenses).next,
+                incomes: diffRecords(null, incomes).next
+            };
+            return { ...meta, expenses, incomes };
+        },
         
-        // Startbudget input
-        const budgetCell = document.createElement('td');
-        const budgetInput = document.createElement('input');
-        budgetInput.type = 'number';
-        budgetInput.step = '0.01';
-        budgetInput.min = '0';
-        budgetInput.value = state.budgets[category] || 0;
-        budgetInput.placeholder = '0';
-        budgetInput.addEventListener('input', (e) => {
-            const value = toNumber(e.target.value);
-            state.budgets[category] = value;
-            updateTotals();
-            saveState(); // Auto-save budget ändringar direkt
-        });
-        budgetCell.appendChild(budgetInput);
-        row.appendChild(budgetCell);
+        async save(doc) {
+            const { expenses, incomes, ...meta } = doc;
+            const metaJson = JSON.stringify(meta);
+            const full = persisted === null;
+            const changes = {
+                expenses: diffRecords(full ? null : persisted.expenses, Array.isArray(expenses) ? expenses : []),
+                incomes: diffRecords(full ? null : persisted.incomes, Array.isArray(incomes) ? incomes : [])
+            };
+            
+            const transaction = db.transaction(dataStores, 'readwrite');
+            RECORD_STORES.forEach(name => {
+                const store = transaction.objectStore(name);
+                if (full) store.clear();
+                changes[name].remove.forEach(id => store.delete(id));
+                changes[name].put.forEach(record => store.put(record));
+            });
+            if (full || persisted.meta !== metaJson) {
+                transaction.objectStore('meta').put(meta, 'state');
+            }
+            
+            try {
+                await idbTransactionDone(transaction);
+                persisted = { meta: metaJson, expenses: changes.expenses.next, incomes: changes.incomes.next };
+            } catch (error) {
+                // Okänt hur mycket som hann skrivas - nästa sparning skriver om allt
+                persisted = null;
+                throw error;
+            }
+        },
         
-        // Utgifter (beräknat)
-        const spentCell = document.createElement('td');
-        const spent = state.expenses
-            .filter(exp => exp.category === category)
-            .reduce((sum, exp) => sum + toNumber(exp.amount), 0);
-        spentCell.textContent = formatCurrency(spent);
-        spentCell.style.textAlign = 'right';
-        row.appendChild(spentCell);
+        async clear() {
+            const transaction = db.transaction(dataStores, 'readwrite');
+            dataStores.forEach(name => transaction.objectStore(name).clear());
+            await idbTransactionDone(transaction);
+            persisted = null;
+        },
         
-        // Återstående (beräknat)
-        const remainingCell = document.createElement('td');
-        const budget = toNumber(state.budgets[category] || 0);
-        const remaining = budget - spent;
+        async loadBackups() {
+            const backups = await idbRequest(db.transaction('backups', 'readonly').objectStore('backups').getAll());
+            return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        },
         
-        // Visar beloppet med minus om negativt
-        if (remaining < 0) {
-            remainingCell.textContent = '-' + formatCurrency(Math.abs(remaining));
-        } else {
-            remainingCell.textContent = formatCurrency(remaining);
-        }
+        async saveBackups(backups) {
+            const transaction = db.transaction('backups', 'readwrite');
+            const store = transaction.objectStore('backups');
+            store.clear();
+            backups.forEach(backup => store.put(backup));
+            await idbTransactionDone(transaction);
+        },
         
-        remainingCell.style.textAlign = 'right';
-        remainingCell.style.fontWeight = '600';
+        async loadReceipt(id) {
+            const record = await idbRequest(db.transaction('receipts', 'readonly').objectStore('receipts').get(id));
+            return record ? record.data : null;
+        },
         
-        // Färgkodning baserat på återstående belopp
-        if (remaining < 0) {
-            remainingCell.style.color = '#dc3545'; // Röd för negativt
-        } else {
-            remainingCell.style.color = '#28a745'; // Grön för positivt
-        }
+        async saveReceipts(receipts) {
+            const transaction = db.transaction('receipts', 'readwrite');
+            const store = transaction.objectStore('receipts');
+            Object.entries(receipts).forEach(([id, data]) => store.put({ id, data }));
+            await idbTransactionDone(transaction);
+        },
         
-        row.appendChild(remainingCell);
-        tbody.appendChild(row);
-    });
+        async listReceipts() {
+            return idbRequest(db.transaction('receipts', 'readonly').objectStore('receipts').getAllKeys());
+        },
+        
+        async deleteReceipts(ids) {
+            const transaction = db.transaction('receipts', 'readwrite');
+            const store = transaction.objectStore('receipts');
+            ids.forEach(id => store.delete(id));
+            await idbTransactionDone(transaction);
+        },
+        
+        close() {
+            db.close();
+        }
+    };
 }
 
 /**
- * Renderar senaste transaktioner i listan
+ * Flyttar data, säkerhetskopior och kvitton från localStorage till IndexedDB, första gången
+ * IndexedDB används eller när appen har sparat i localStorage för att IndexedDB inte gick att
+ * öppna. localStorage töms först när allt har skrivits.
+ * @param {StorageBackend} backend - IndexedDB-lagringen
+ * @param {Object} names - Profilens lagringsnamn
  */
-function renderTxList() {
-    const container = document.getElementById('txList');
-    if (!container) return;
+async function migrateFromLocalStorage(backend, names) {
+    const legacy = createLocalStorageBackend(names);
+    const saved = localStorage.getItem(names.data);
+    const backups = await legacy.loadBackups().catch(() => []);
+    const receiptIds = await legacy.listReceipts().catch(() => []);
+    if (!saved && backups.length === 0 && receiptIds.length === 0) return;
     
-    // Sortera transaktioner efter datum (nyaste först)
-    const sortedExpenses = [...state.expenses].sort((a, b) => new Date(b.date) - new Date(a.date));
+    let doc = null;
+    if (saved) {
+        try {
+            doc = JSON.parse(saved);
+        } catch (error) {
+            console.error('Sparad data i localStorage är skadad och flyttas bara som säkerhetskopia:', error);
+        }
+    }
     
-    if (sortedExpenses.length === 0) {
-        container.innerHTML = '<p style="text-align: center; color: var(--muted); padding: 1rem;">Inga transaktioner än</p>';
-        return;
+    // Har appen sparat i localStorage medan IndexedDB inte gick att använda kan båda ha data.
+    // Den senast sparade används (okrypterad data har savedAt), den andra blir en säkerhetskopia.
+    const existing = await backend.load();
+    const now = new Date().toISOString();
+    const keepLocal = doc && typeof doc === 'object' &&
+        (!existing || (doc.savedAt && existing.savedAt && doc.savedAt > existing.savedAt));
+    const replacedBackup = existing && keepLocal
+        ? [{ id: generateId(), createdAt: now, reason: 'repair', data: JSON.stringify(existing) }]
+        : [];
+    // Originalet sparas som säkerhetskopia innan något flyttas
+    const migrationBackup = saved
+        ? [{ id: generateId(), createdAt: now, reason: existing && !keepLocal ? 'repair' : 'migration', data: saved }]
+        : [];
+    const olderBackups = [...backups, ...(existing ? await backend.loadBackups() : [])]
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    await backend.saveBackups([...migrationBackup, ...replacedBackup, ...olderBackups].slice(0, BACKUP_LIMIT));
+    
+    if (keepLocal) await backend.save(doc);
+    
+    // Kvitton har unika id:n och kan flyttas oavsett vilken data som används
+    if (receiptIds.length > 0) {
+        await backend.saveReceipts(JSON.parse(localStorage.getItem(names.receipts)));
     }
     
-    container.innerHTML = '';
+    localStorage.removeItem(names.data);
+    localStorage.removeItem(names.backups);
+    localStorage.removeItem(names.receipts);
+    console.log('Data flyttad från localStorage till IndexedDB');
+}
+
+/**
+ * Väljer lagring för en profil: IndexedDB om det går, annars localStorage
+ * @param {Object} names - Profilens lagringsnamn från getProfileStorageNames
+ * @returns {Promise<StorageBackend>}
+ */
+async function openStorageBackend(names) {
+    let backend;
+    try {
+        backend = createIndexedDbBackend(await openDatabase(names.db));
+    } catch (error) {
+        console.warn('IndexedDB kan inte användas, sparar i localStorage:', error);
+        return createLocalStorageBackend(names);
+    }
     
-    // Visa max 10 senaste transaktioner
-    sortedExpenses.slice(0, 10).forEach(expense => {
-        const item = document.createElement('div');
-        item.className = 'transaction-item';
-        
-        const info = document.createElement('div');
-        info.className = 'transaction-info';
-        
-        const category = document.createElement('div');
-        category.className = 'transaction-category';
-        category.textContent = expense.category;
-        
-        const desc = document.createElement('div');
-        desc.className = 'transaction-desc';
-        desc.textContent = expense.desc || 'Ingen beskrivning';
-        
-        info.appendChild(category);
-        info.appendChild(desc);
-        
-        const amount = document.createElement('span');
-        amount.className = 'transaction-amount';
-        amount.textContent = formatCurrency(expense.amount);
-        
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'btn btn-danger';
-        deleteBtn.textContent = 'Ta bort';
-        deleteBtn.addEventListener('click', () => deleteExpense(expense.id));
+    try {
+        await migrateFromLocalStorage(backend, names);
+    } catch (error) {
+        // Datan ligger kvar i localStorage - fortsätt där hellre än att börja om från noll
+        console.error('Kunde inte flytta data till IndexedDB:', error);
+        backend.close();
+        return createLocalStorageBackend(names);
+    }
+    return backend;
+}
+
+/**
+ * Lagringen för den aktiva profilen. Öppnas vid första anropet.
+ * @returns {Promise<StorageBackend>}
+ */
+function getStorageBackend() {
+    if (!storageBackendPromise) {
+        storageBackendPromise = openStorageBackend(getProfileStorageNames(profiles.active));
+    }
+    return storageBackendPromise;
+}
+
+/**
+ * Sparar aktuell state. Själva skrivningen sker en kort stund senare så att
+ * snabba ändringar i rad (t.ex. i budgetfälten) blir en skrivning.
+ * Ändringarna räknas som sparade först när flushSave har skrivit dem, och
+ * det är flushSave som visar fel om skrivningen misslyckas.
+ * @returns {boolean} true om sparningen är schemalagd
+ */
+function saveState() {
+    // Dubbel-kontroll: se till att state är giltigt innan sparning
+    if (!state || typeof state !== 'object') {
+        console.error('Ogiltig state, kan inte sparas');
+        showMessage('Kunde inte spara data - datan i appen är ogiltig.', 'error');
+        return false;
+    }
+    
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(flushSave, SAVE_DELAY);
+    return true;
+}
+
+/**
+ * Skriver state till lagringen direkt, efter eventuella tidigare skrivningar
+ * @returns {Promise<boolean>} true om det sparades
+ */
+function flushSave() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    
+    saveQueue = saveQueue.then(async () => {
+        try {
+            const backend = await getStorageBackend();
+            
+            // Dagens första sparning kopierar först undan det som låg sparat sedan tidigare
+            await createDailyBackup(backend);
+            
+            // Med applåset på krypteras allt och sparas som en post
+            const doc = { schemaVersion: SCHEMA_VERSION, savedAt: new Date().toISOString(), ...state };
+            await backend.save(appLock ? await encryptText(JSON.stringify(doc), appLock) : doc);
+            console.log(`State säkert sparad (${backend.name})`);
+            // Bara om inget nytt har hunnit ändras under tiden
+            if (!saveTimer) markSavedChanges();
+            
+            // Städningen får inte göra att en lyckad sparning räknas som misslyckad
+            if (receiptCleanupNeeded) {
+                receiptCleanupNeeded = false;
+                await collectReceiptGarbage(backend).catch(error => {
+                    console.error('Kunde inte städa bort kvitton:', error);
+                });
+            }
+            return true;
+        } catch (error) {
+            console.error('Fel vid sparande:', error);
+            markUnsavedChanges();
+            showMessage('Kunde inte spara data. Kontrollera att webbläsaren har tillräckligt med utrymme.', 'error');
+            return false;
+        }
+    });
+    return saveQueue;
+}
+
+/**
+ * Migreringar mellan formatversioner. Nyckeln är versionen som migreringen
+ * uppgraderar från, funktionen får datan och returnerar den i nästa version.
+ */
+const MIGRATIONS = {
+    // v1 -> v2: budgets var kategori -> nummer, nu månad -> { kategori -> nummer }.
+    // Den gamla budgeten läggs under första månaden med transaktioner så att den följer med framåt.
+    1: data => {
+        const budgets = data.budgets && typeof data.budgets === 'object' ? data.budgets : {};
+        const isLegacyBudgets = Object.keys(budgets).some(key => !isMonthKey(key));
+        if (!isLegacyBudgets) return data;
         
-        item.appendChild(info);
-        item.appendChild(amount);
-        item.appendChild(deleteBtn);
-        container.appendChild(item);
+        const transactions = [
+            ...(Array.isArray(data.expenses) ? data.expenses : []),
+            ...(Array.isArray(data.incomes) ? data.incomes : [])
+        ];
+        const firstMonth = transactions
+            .map(tx => getMonthKey(tx?.date))
+            .filter(Boolean)
+            .sort()[0] || getMonthKey(new Date());
+        return { ...data, budgets: { [firstMonth]: budgets } };
+    }
+};
+
+/**
+ * Uppgraderar sparad data till aktuell formatversion. Data utan version räknas som v1.
+ * @param {Object} raw - Sparad/inläst data
+ * @returns {Object} Data i aktuell version (utan schemaVersion)
+ * @throws {Error} Om datan kommer från en nyare version av appen
+ */
+function migrateState(raw) {
+    let version = Number(raw.schemaVersion) || 1;
+    if (version > SCHEMA_VERSION) {
+        throw new Error('Datan är sparad med en nyare version av appen och kan inte läsas här.');
+    }
+    
+    let data = { ...raw };
+    delete data.schemaVersion;
+    while (version < SCHEMA_VERSION) {
+        data = MIGRATIONS[version](data);
+        version++;
+    }
+    return data;
+}
+
+/**
+ * Gör om state till JSON för export och säkerhetskopior, med formatversion först
+ * @param {number} space - Indrag (0 för kompakt)
+ * @returns {string} JSON
+ */
+function serializeState(space = 0) {
+    return JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...state }, null, space || undefined);
+}
+
+/**
+ * Gör om state till JSON för en exportfil. Kvittobilderna följer med under "receipts" (id -> data-URL).
+ * @param {number} space - Indrag (0 för kompakt)
+ * @returns {Promise<string>} JSON
+ */
+async function serializeExport(space = 0) {
+    const receipts = await collectReceiptImages();
+    return JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...state, receipts }, null, space || undefined);
+}
+
+/**
+ * Kontrollerar fälten i en transaktion
+ * @param {Object} tx - Utgift eller inkomst
+ * @param {string} nameKey - 'category' för utgifter, 'source' för inkomster
+ * @returns {Array<string>} Problem, tom om transaktionen är giltig
+ */
+function getTransactionProblems(tx, nameKey) {
+    if (!tx || typeof tx !== 'object') {
+        return ['är inte ett objekt'];
+    }
+    
+    const problems = [];
+    if (tx.id === undefined || tx.id === null || tx.id === '') problems.push('saknar id');
+    if (typeof tx[nameKey] !== 'string' || !tx[nameKey]) problems.push(`saknar ${nameKey}`);
+    if (tx.amount === null || tx.amount === '' || isNaN(Number(tx.amount))) problems.push('har ogiltigt belopp');
+    if (isNaN(new Date(tx.date).getTime())) problems.push('har ogiltigt datum');
+    return problems;
+}
+
+/**
+ * Räknar transaktioner som inte går att använda
+ * @param {Object} data - Sparad/inläst data
+ * @returns {number} Antal ogiltiga utgifter och inkomster
+ */
+function countInvalidTransactions(data) {
+    const count = (list, nameKey) => (Array.isArray(list) ? list : [])
+        .filter(tx => getTransactionProblems(tx, nameKey).length > 0).length;
+    return count(data.expenses, 'category') + count(data.incomes, 'source');
+}
+
+/**
+ * Bygger en komplett state av sparad data (i aktuell formatversion) och fyller
+ * i saknade fält med default. Ogiltiga transaktioner tas bort.
+ * @param {Object} raw - Sparad/inläst data, migrerad med migrateState
+ * @returns {Object} Normaliserad state
+ */
+function normalizeState(raw) {
+    const defaults = createDefaultState();
+    const normalized = {
+        expenseCategories: Array.isArray(raw.expenseCategories) ? raw.expenseCategories : defaults.expenseCategories,
+        incomeCategories: Array.isArray(raw.incomeCategories) ? raw.incomeCategories : defaults.incomeCategories,
+        budgets: raw.budgets && typeof raw.budgets === 'object' ? raw.budgets : {},
+        rollover: raw.rollover && typeof raw.rollover === 'object' ? raw.rollover : {},
+        warningThresholds: raw.warningThresholds && typeof raw.warningThresholds === 'object' ? raw.warningThresholds : {},
+        csvMapping: raw.csvMapping && typeof raw.csvMapping === 'object' ? raw.csvMapping : {},
+        categoryRules: raw.categoryRules && typeof raw.categoryRules === 'object' ? raw.categoryRules : {},
+        recurring: Array.isArray(raw.recurring) ? raw.recurring : [],
+        goals: Array.isArray(raw.goals) ? raw.goals : [],
+        goalContributions: Array.isArray(raw.goalContributions) ? raw.goalContributions : [],
+        exchangeRates: raw.exchangeRates && typeof raw.exchangeRates === 'object' ? raw.exchangeRates : {},
+        people: Array.isArray(raw.people) ? raw.people : [],
+        settlements: Array.isArray(raw.settlements) ? raw.settlements : [],
+        expenses: Array.isArray(raw.expenses) ? raw.expenses : [],
+        incomes: Array.isArray(raw.incomes) ? raw.incomes : []
+    };
+    
+    // Transaktioner med trasiga fält skulle ge NaN i summeringarna
+    normalized.expenses = normalized.expenses
+        .filter(exp => getTransactionProblems(exp, 'category').length === 0)
+        .map(exp => {
+            const normalizedExp = { ...exp, amount: toNumber(exp.amount) };
+            if (!Array.isArray(exp.receipts) || !exp.receipts.every(id => typeof id === 'string')) {
+                delete normalizedExp.receipts;
+            }
+            // Utan kurs går originalbeloppet inte att visa - beloppet i kronor gäller ändå
+            if (!exp.currency || toRate(exp.rate) <= 0 || toNumber(exp.originalAmount) <= 0) {
+                delete normalizedExp.currency;
+                delete normalizedExp.originalAmount;
+                delete normalizedExp.rate;
+            }
+            // En fördelning som inte går ihop med beloppet räknas som en vanlig utgift i huvudkategorin
+            const allocations = Array.isArray(exp.allocations)
+                ? exp.allocations
+                    .filter(row => row && typeof row.category === 'string' && row.category && toNumber(row.amount) > 0)
+                    .map(row => ({ category: row.category, amount: toNumber(row.amount) }))
+                : [];
+            const allocatedSum = toNumber(allocations.reduce((sum, row) => sum + row.amount, 0));
+            const distinct = new Set(allocations.map(row => row.category)).size === allocations.length;
+            if (allocations.length > 1 && distinct && allocatedSum === normalizedExp.amount) {
+                normalizedExp.allocations = allocations;
+                normalizedExp.category = allocations[0].category;
+            } else {
+                delete normalizedExp.allocations;
+            }
+            const tags = Array.isArray(exp.tags) ? parseTags(exp.tags.filter(tag => typeof tag === 'string').join(' ')) : [];
+            if (tags.length > 0) {
+                normalizedExp.tags = tags;
+            } else {
+                delete normalizedExp.tags;
+            }
+            return normalizedExp;
+        });
+    normalized.incomes = normalized.incomes
+        .filter(inc => getTransactionProblems(inc, 'source').length === 0)
+        .map(inc => ({ ...inc, amount: toNumber(inc.amount) }));
+    
+    // Personer som delar utgifter: unika, icke-tomma namn
+    normalized.people = [...new Set(normalized.people
+        .filter(name => typeof name === 'string')
+        .map(name => name.trim())
+        .filter(Boolean))];
+    normalized.settlements = normalized.settlements
+        .filter(entry => entry && typeof entry.from === 'string' && typeof entry.to === 'string' && !isNaN(Number(entry.amount)))
+        .map(entry => ({ ...entry, amount: toNumber(entry.amount) }));
+    
+    // Kategorier som används av transaktioner måste finnas i listorna
+    normalized.expenses.forEach(exp => {
+        getExpenseAllocations(exp).forEach(({ category }) => {
+            if (category && !normalized.expenseCategories.includes(category)) {
+                normalized.expenseCategories.push(category);
+            }
+        });
+    });
+    normalized.incomes.forEach(inc => {
+        if (inc.source && !normalized.incomeCategories.includes(inc.source)) {
+            normalized.incomeCategories.push(inc.source);
+        }
     });
+    
+    return normalized;
 }
 
 /**
- * Renderar inkomstlistan
+ * Laddar state från lagringen eller använder default
+ * @returns {Promise<string>} 'loaded', 'empty' (ingen sparad data), 'locked' (lösenfrasen angavs inte) eller 'failed'
  */
-function renderIncomeList() {
-    const container = document.getElementById('incomeList');
-    if (!container) return;
+async function loadState() {
+    let raw = null;
+    // Räknas om för varje inläsning så att en tidigare profils siffra inte visas
+    recurringPostedOnLoad = 0;
+    // Kvittona städas en gång per session och profil, och sedan när något kan ha slutat peka på dem
+    receiptCleanupNeeded = true;
+    try {
+        const backend = await getStorageBackend();
+        raw = await backend.load();
+        
+        // Med applåset på är datan krypterad - nyckeln används sedan för att spara.
+        // Annars får ett applås från en tidigare öppnad profil inte följa med.
+        if (isLockedData(raw)) {
+            raw = await unlockData(raw, {
+                title: '🔒 Budgeten är låst',
+                message: `Skriv lösenfrasen för att öppna "${getActiveProfile().name}".`,
+                confirmLabel: 'Lås upp',
+                rememberKey: true
+            });
+            if (raw === null) return 'locked';
+        } else {
+            appLock = null;
+        }
+        
+        // Validera att sparad data har rätt struktur
+        if (raw && typeof raw === 'object') {
+            const migrated = migrateState(raw);
+            
+            // Ogiltiga transaktioner tas bort - spara originalet först så att inget försvinner för gott
+            const invalidCount = countInvalidTransactions(migrated);
+            if (invalidCount > 0) {
+                await createBackup(await sealText(JSON.stringify(raw)), 'repair');
+                showMessage(`${invalidCount} trasiga transaktioner hoppades över. Originalet finns under "Säkerhetskopior".`, 'error');
+            }
+            
+            state = normalizeState(migrated);
+            console.log(`State laddad (${backend.name})`);
+            
+            // Bokför återkommande transaktioner som blivit aktuella sedan sist
+            recurringPostedOnLoad = applyRecurringTransactions().length;
+            if (recurringPostedOnLoad > 0 || invalidCount > 0 || raw.schemaVersion !== SCHEMA_VERSION) {
+                saveState();
+            }
+            return 'loaded';
+        }
+    } catch (error) {
+        console.error('Fel vid laddning:', error);
+        
+        // Spara undan det som inte gick att läsa innan det skrivs över vid nästa sparning.
+        // Kunde JSON:en inte ens tolkas finns originalet bara kvar i localStorage.
+        const unreadable = raw ? await sealText(JSON.stringify(raw)) : localStorage.getItem(getProfileStorageNames(profiles.active).data);
+        if (unreadable) await createBackup(unreadable, 'repair');
+        
+        const reason = error instanceof SyntaxError ? 'Kunde inte ladda sparad data.' : error.message;
+        showMessage(`${reason} Använder standardinställningar. Den sparade datan finns kvar under "Säkerhetskopior".`, 'error');
+        state = createDefaultState();
+        return 'failed';
+    }
     
-    // Sortera inkomster efter datum (nyaste först)
-    const sortedIncomes = [...state.incomes].sort((a, b) => new Date(b.date) - new Date(a.date));
+    // Fallback till default data
+    state = createDefaultState();
+    return 'empty';
+}
+
+/**
+ * Återställer state till default och rensar sparad data (säkerhetskopiorna finns kvar)
+ */
+async function resetState() {
+    const confirmed = await confirmDialog('All data återställs till standardinställningarna. Detta kan inte ångras.', {
+        title: 'Återställa all data?',
+        confirmLabel: 'Återställ',
+        danger: true
+    });
+    if (confirmed) {
+        try {
+            recordUndo('återställning av all data');
+            // Väntande sparningar får inte skriva tillbaka den gamla datan efteråt
+            clearTimeout(saveTimer);
+            saveTimer = null;
+            await saveQueue;
+            const backend = await getStorageBackend();
+            await backend.clear();
+            state = createDefaultState();
+            showMessage('All data har återställts till standardinställningar.', 'success', { action: UNDO_ACTION });
+            renderAll();
+        } catch (error) {
+            console.error('Fel vid återställning:', error);
+            showMessage('Kunde inte återställa data.', 'error');
+        }
+    }
+}
+
+/**
+ * Hämtar sparade säkerhetskopior, nyast först
+ * @returns {Promise<Array<Object>>} { id, createdAt, reason: 'auto'|'manual'|'repair'|'migration', data }
+ */
+async function getBackups() {
+    try {
+        const backend = await getStorageBackend();
+        return await backend.loadBackups();
+    } catch (error) {
+        console.error('Kunde inte läsa säkerhetskopior:', error);
+        return [];
+    }
+}
+
+/**
+ * Sparar säkerhetskopior. Får de inte plats tas de äldsta bort tills det går.
+ * @param {Array<Object>} backups - Säkerhetskopior, nyast först
+ * @returns {Promise<boolean>} true om de sparades
+ */
+async function storeBackups(backups) {
+    const backend = await getStorageBackend();
+    let list = backups.slice(0, BACKUP_LIMIT);
+    // Kopior som roteras bort kan ha varit de sista som pekade på ett kvitto
+    if (list.length < backups.length) receiptCleanupNeeded = true;
+    while (list.length > 0) {
+        try {
+            await backend.saveBackups(list);
+            return true;
+        } catch (error) {
+            list = list.slice(0, -1);
+            receiptCleanupNeeded = true;
+        }
+    }
+    await backend.saveBackups([]).catch(error => console.error('Kunde inte rensa säkerhetskopior:', error));
+    return false;
+}
+
+/**
+ * Lägger till en säkerhetskopia
+ * @param {string} data - Sparad data som JSON
+ * @param {string} reason - 'auto', 'manual', 'repair' eller 'migration'
+ * @returns {Promise<boolean>} true om den sparades
+ */
+async function createBackup(data, reason) {
+    const backups = await getBackups();
+    if (backups.some(backup => backup.data === data)) return true;
     
-    if (sortedIncomes.length === 0) {
-        container.innerHTML = '<p style="text-align: center; color: var(--muted); padding: 1rem;">Inga inkomster registrerade</p>';
+    const backup = { id: generateId(), createdAt: new Date().toISOString(), reason, data };
+    return storeBackups([backup, ...backups]);
+}
+
+/**
+ * Tar en automatisk säkerhetskopia av sparad data om det inte redan finns en från idag.
+ * Fel här får aldrig stoppa själva sparningen.
+ * @param {StorageBackend} backend - Lagringen som datan ligger i
+ */
+async function createDailyBackup(backend) {
+    const today = getDateKey(new Date());
+    if (lastAutoBackupDate === today) return;
+    
+    try {
+        const backups = await getBackups();
+        if (!backups.some(backup => backup.reason === 'auto' && getDateKey(backup.createdAt) === today)) {
+            // Trasig data går inte att läsa in och blir ingen säkerhetskopia
+            const previous = await backend.load();
+            if (!previous) return;
+            await createBackup(JSON.stringify(previous), 'auto');
+        }
+        lastAutoBackupDate = today;
+    } catch (error) {
+        console.error('Kunde inte skapa säkerhetskopia:', error);
+    }
+}
+
+/**
+ * Sammanfattar en säkerhetskopia för listan
+ * @param {Object} backup - Säkerhetskopia
+ * @returns {string} T.ex. "42 utgifter, 6 inkomster"
+ */
+function describeBackup(backup) {
+    try {
+        const data = JSON.parse(backup.data);
+        if (isLockedData(data)) return 'Krypterad';
+        const expenses = Array.isArray(data.expenses) ? data.expenses.length : 0;
+        const incomes = Array.isArray(data.incomes) ? data.incomes.length : 0;
+        return `${expenses} utgifter, ${incomes} inkomster`;
+    } catch (error) {
+        return 'Kan inte läsas';
+    }
+}
+
+/**
+ * Renderar listan med säkerhetskopior i dialogen
+ */
+async function renderBackupList() {
+    const container = document.getElementById('backupList');
+    if (!container) return;
+    
+    const backups = await getBackups();
+    if (backups.length === 0) {
+        container.innerHTML = '<p class="import-hint">Inga säkerhetskopior ännu. En skapas automatiskt varje dag du sparar.</p>';
         return;
     }
     
+    const reasons = { auto: 'Automatisk', manual: 'Manuell', repair: 'Före reparation', migration: 'Före flytt till IndexedDB' };
     container.innerHTML = '';
-    
-    sortedIncomes.forEach(income => {
-        const item = document.createElement('div');
-        item.className = 'income-item';
+    backups.forEach(backup => {
+        const row = document.createElement('div');
+        row.className = 'backup-row';
         
         const info = document.createElement('div');
-        info.className = 'income-info';
+        info.className = 'backup-info';
         
-        const source = document.createElement('div');
-        source.className = 'income-source';
-        source.textContent = income.source;
-        
-        const date = document.createElement('div');
-        date.className = 'income-date';
-        date.textContent = new Date(income.date).toLocaleDateString('sv-SE');
+        const when = document.createElement('strong');
+        when.textContent = new Date(backup.createdAt).toLocaleString('sv-SE', { dateStyle: 'medium', timeStyle: 'short' });
         
-        info.appendChild(source);
-        info.appendChild(date);
+        const detail = document.createElement('span');
+        detail.textContent = `${reasons[backup.reason] || backup.reason} · ${describeBackup(backup)}`;
         
-        const amount = document.createElement('span');
-        amount.className = 'income-amount';
-        amount.textContent = formatCurrency(income.amount);
+        info.appendChild(when);
+        info.appendChild(detail);
         
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'btn btn-danger';
-        deleteBtn.textContent = 'Ta bort';
-        deleteBtn.addEventListener('click', () => deleteIncome(income.id));
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'btn btn-secondary btn-small';
+        restoreBtn.textContent = 'Återställ';
+        restoreBtn.addEventListener('click', () => onRestoreBackup(backup.id));
         
-        item.appendChild(info);
-        item.appendChild(amount);
-        item.appendChild(deleteBtn);
-        container.appendChild(item);
+        row.appendChild(info);
+        row.appendChild(restoreBtn);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Visar eller döljer dialogen med säkerhetskopior
+ * @param {boolean} show - true för att visa
+ */
+function toggleBackupDialog(show) {
+    const dialog = document.getElementById('backupDialog');
+    if (!dialog) return;
+    
+    if (show) renderBackupList();
+    dialog.hidden = !show;
+}
+
+// ===== KRYPTERING =====
+
+/**
+ * Gör om bytes till base64
+ * @param {Uint8Array} bytes - Data
+ * @returns {string} Base64
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    // I bitar så att stora exporter inte spränger argumentlistan
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Gör om base64 till bytes
+ * @param {string} base64 - Base64
+ * @returns {Uint8Array} Data
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Tar fram en AES-GCM-nyckel ur en lösenfras
+ * @param {string} passphrase - Lösenfrasen
+ * @param {string} salt - Salt som base64 (utelämnas för ett nytt slumpat salt)
+ * @param {number} iterations - Antal PBKDF2-varv
+ * @returns {Promise<Object>} { key, salt, iterations }
+ */
+async function deriveLockKey(passphrase, salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16))), iterations = KDF_ITERATIONS) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    const key = await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(salt), iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+    return { key, salt, iterations };
+}
+
+/**
+ * Krypterar text. Resultatet innehåller allt utom lösenfrasen som behövs för att öppna det igen.
+ * @param {string} text - Text att kryptera (JSON)
+ * @param {Object} lockKey - Nyckel från deriveLockKey
+ * @returns {Promise<Object>} { locked: { v, kdf, hash, iterations, salt, iv, data } }
+ */
+async function encryptText(text, lockKey) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, lockKey.key, new TextEncoder().encode(text));
+    return {
+        locked: {
+            v: 1,
+            kdf: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: lockKey.iterations,
+            salt: lockKey.salt,
+            iv: bytesToBase64(iv),
+            data: bytesToBase64(new Uint8Array(data))
+        }
+    };
+}
+
+/**
+ * Kontrollerar om data är krypterad med encryptText
+ * @param {*} data - Sparad/inläst data
+ * @returns {boolean} true om datan är krypterad
+ */
+function isLockedData(data) {
+    return Boolean(data && typeof data === 'object' && data.locked && typeof data.locked.data === 'string');
+}
+
+/**
+ * Dekrypterar data från encryptText
+ * @param {Object} data - { locked }
+ * @param {Object} lockKey - Nyckel från deriveLockKey med datans salt
+ * @returns {Promise<string>} Den ursprungliga texten
+ * @throws {Error} Om lösenfrasen är fel eller datan är skadad
+ */
+async function decryptText(data, lockKey) {
+    try {
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(data.locked.iv) },
+            lockKey.key,
+            base64ToBytes(data.locked.data)
+        );
+        return new TextDecoder().decode(plain);
+    } catch (error) {
+        // AES-GCM skiljer inte på fel nyckel och ändrad data
+        throw new Error('Fel lösenfras, eller så är datan skadad.');
+    }
+}
+
+/**
+ * Tar fram nyckeln till krypterad data ur en lösenfras
+ * @param {Object} data - { locked }
+ * @param {string} passphrase - Lösenfrasen
+ * @returns {Promise<Object>} Nyckel från deriveLockKey
+ * @throws {Error} Om formatet är okänt
+ */
+function deriveKeyFor(data, passphrase) {
+    const { v, kdf, hash, iterations, salt } = data.locked;
+    // Orimligt många varv skulle låsa sidan - sådana filer är inte gjorda av appen
+    if (v !== 1 || kdf !== 'PBKDF2' || hash !== 'SHA-256' || !Number.isInteger(iterations) ||
+        iterations < 1 || iterations > 10 * KDF_ITERATIONS || typeof salt !== 'string') {
+        return Promise.reject(new Error('Okänt krypteringsformat.'));
+    }
+    return deriveLockKey(passphrase, salt, iterations);
+}
+
+/**
+ * Öppnar krypterad data. Nyckeln från applåset används om den passar, annars
+ * frågas efter lösenfrasen tills den är rätt eller användaren avbryter.
+ * @param {Object} data - { locked }
+ * @param {Object} options - title, message och confirmLabel till lösenfrasdialogen,
+ *                           rememberKey: true för att använda nyckeln som applås efteråt
+ * @returns {Promise<Object|null>} Den dekrypterade datan eller null om användaren avbryter
+ */
+async function unlockData(data, options = {}) {
+    if (appLock && appLock.salt === data.locked.salt) {
+        return JSON.parse(await decryptText(data, appLock));
+    }
+    
+    return requestPassphrase({
+        ...options,
+        verify: async passphrase => {
+            const lockKey = await deriveKeyFor(data, passphrase);
+            const parsed = JSON.parse(await decryptText(data, lockKey));
+            if (options.rememberKey) appLock = lockKey;
+            return parsed;
+        }
+    });
+}
+
+/**
+ * Krypterar sparad data med applåset om det är på
+ * @param {string} text - Data som JSON
+ * @returns {Promise<string>} JSON att spara, krypterad om applåset är på
+ */
+async function sealText(text) {
+    return appLock ? JSON.stringify(await encryptText(text, appLock)) : text;
+}
+
+/**
+ * Frågar efter en lösenfras i en dialog
+ * @param {Object} options - { title, message, confirmLabel, repeat, verify }
+ *                           repeat: true för en ny lösenfras som skrivs två gånger,
+ *                           verify: async funktion som får lösenfrasen och kastar ett fel om den inte duger
+ * @returns {Promise<*>} Resultatet från verify (annars lösenfrasen), null om användaren avbryter
+ */
+function requestPassphrase(options = {}) {
+    const dialog = document.getElementById('passphraseDialog');
+    if (!dialog) return Promise.resolve(null);
+    
+    // En fråga åt gången - en tidigare obesvarad räknas som avbruten
+    closePassphraseDialog(null);
+    
+    document.getElementById('passphraseDialogTitle').textContent = options.title || '🔒 Lösenfras';
+    document.getElementById('passphraseDialogMessage').textContent = options.message || '';
+    document.getElementById('passphraseOkBtn').textContent = options.confirmLabel || 'OK';
+    document.getElementById('passphraseRepeatGroup').hidden = !options.repeat;
+    document.getElementById('passphraseInput').autocomplete = options.repeat ? 'new-password' : 'current-password';
+    showPassphraseError('');
+    
+    return new Promise(resolve => {
+        pendingPassphrase = { resolve, options, returnFocus: document.activeElement };
+        dialog.hidden = false;
+        document.getElementById('passphraseInput').focus();
+    });
+}
+
+/**
+ * Visar ett fel i lösenfrasdialogen
+ * @param {string} message - Felet, tom sträng för att dölja
+ */
+function showPassphraseError(message) {
+    const error = document.getElementById('passphraseError');
+    if (!error) return;
+    error.textContent = message;
+    error.hidden = !message;
+}
+
+/**
+ * Kontrollerar lösenfrasen och besvarar frågan om den duger
+ */
+async function onSubmitPassphrase() {
+    const request = pendingPassphrase;
+    if (!request) return;
+    
+    const passphrase = document.getElementById('passphraseInput').value;
+    const repeat = document.getElementById('passphraseRepeat').value;
+    if (!passphrase) {
+        showPassphraseError('Skriv lösenfrasen.');
+        return;
+    }
+    if (request.options.repeat && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        showPassphraseError(`Lösenfrasen måste vara minst ${MIN_PASSPHRASE_LENGTH} tecken.`);
+        return;
+    }
+    if (request.options.repeat && passphrase !== repeat) {
+        showPassphraseError('Lösenfraserna är inte lika.');
+        return;
+    }
+    
+    // Nyckeln tar en stund att ta fram
+    const okBtn = document.getElementById('passphraseOkBtn');
+    okBtn.disabled = true;
+    showPassphraseError('');
+    try {
+        const result = request.options.verify ? await request.options.verify(passphrase) : passphrase;
+        if (pendingPassphrase === request) closePassphraseDialog(result);
+    } catch (error) {
+        if (pendingPassphrase === request) showPassphraseError(error.message);
+    } finally {
+        okBtn.disabled = false;
+    }
+}
+
+/**
+ * Stänger lösenfrasdialogen och besvarar frågan
+ * @param {*} result - Svaret, null om användaren avbryter
+ */
+function closePassphraseDialog(result) {
+    if (!pendingPassphrase) return;
+    
+    const { resolve, returnFocus } = pendingPassphrase;
+    pendingPassphrase = null;
+    // Lösenfrasen ska inte ligga kvar i sidan
+    document.getElementById('passphraseInput').value = '';
+    document.getElementById('passphraseRepeat').value = '';
+    document.getElementById('passphraseDialog').hidden = true;
+    returnFocus?.focus?.();
+    resolve(result);
+}
+
+/**
+ * Krypterar om säkerhetskopiorna efter att applåset ändrats
+ * @param {Object|null} previousLock - Applåset innan ändringen
+ */
+async function resealBackups(previousLock) {
+    const backups = await getBackups();
+    const resealed = [];
+    for (const backup of backups) {
+        let text = backup.data;
+        try {
+            const parsed = JSON.parse(backup.data);
+            if (isLockedData(parsed)) {
+                // Kopior krypterade med en annan lösenfras lämnas som de är
+                if (!previousLock || parsed.locked.salt !== previousLock.salt) {
+                    resealed.push(backup);
+                    continue;
+                }
+                text = await decryptText(parsed, previousLock);
+            }
+        } catch (error) {
+            // Oläsbar data krypteras som den är
+        }
+        resealed.push({ ...backup, data: await sealText(text) });
+    }
+    await storeBackups(resealed);
+}
+
+/**
+ * Visar om applåset är på eller av i dialogen
+ */
+function renderLockStatus() {
+    const status = document.getElementById('lockStatus');
+    const toggleBtn = document.getElementById('lockToggleBtn');
+    if (!status || !toggleBtn) return;
+    
+    status.textContent = appLock
+        ? 'Applåset är på. Datan i webbläsaren är krypterad och lösenfrasen behövs när budgeten laddas.'
+        : 'Applåset är av. Datan i webbläsaren sparas okrypterad.';
+    toggleBtn.textContent = appLock ? 'Stäng av applåset' : 'Aktivera applås';
+    toggleBtn.className = appLock ? 'btn btn-danger' : 'btn btn-primary';
+}
+
+/**
+ * Visar eller döljer dialogen för applåset
+ * @param {boolean} show - true för att visa
+ */
+function toggleLockDialog(show) {
+    const dialog = document.getElementById('lockDialog');
+    if (!dialog) return;
+    
+    if (show) renderLockStatus();
+    dialog.hidden = !show;
+}
+
+// ===== PROFILER =====
+
+/**
+ * Läser profillistan. Finns ingen lista används standardprofilen, som har den
+ * data som sparades innan profiler fanns.
+ * @returns {Object} { active, list: [{ id, name }] }
+ */
+function loadProfiles() {
+    const fallback = { active: DEFAULT_PROFILE_ID, list: [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME }] };
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROFILES_KEY) || 'null');
+        const list = (Array.isArray(saved?.list) ? saved.list : [])
+            .filter(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string');
+        if (list.length === 0) return fallback;
+        
+        const active = list.some(profile => profile.id === saved.active) ? saved.active : list[0].id;
+        return { active, list };
+    } catch (error) {
+        console.error('Kunde inte läsa profiler:', error);
+        return fallback;
+    }
+}
+
+/**
+ * Sparar profillistan
+ * @returns {boolean} true om den sparades
+ */
+function saveProfiles() {
+    try {
+        localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+        return true;
+    } catch (error) {
+        console.error('Kunde inte spara profiler:', error);
+        showMessage('Profillistan kunde inte sparas.', 'error');
+        return false;
+    }
+}
+
+/**
+ * Hämtar den aktiva profilen
+ * @returns {Object} { id, name }
+ */
+function getActiveProfile() {
+    return profiles.list.find(profile => profile.id === profiles.active) || profiles.list[0];
+}
+
+/**
+ * Namnen som en profils data sparas under
+ * @param {string} profileId - Profilens id
+ * @returns {Object} { db: IndexedDB-databas, data, backups och receipts: localStorage-nycklar }
+ */
+function getProfileStorageNames(profileId) {
+    // Standardprofilen använder samma namn som innan profiler fanns
+    if (profileId === DEFAULT_PROFILE_ID) {
+        return { db: DB_NAME, data: LS_KEY, backups: BACKUP_KEY, receipts: RECEIPT_KEY };
+    }
+    return {
+        db: `${DB_NAME}-${profileId}`,
+        data: `${LS_KEY}-${profileId}`,
+        backups: `${BACKUP_KEY}-${profileId}`,
+        receipts: `${RECEIPT_KEY}-${profileId}`
+    };
+}
+
+/**
+ * Kontrollerar ett profilnamn
+ * @param {string} name - Namnet
+ * @param {string|null} currentId - Profilen som byter namn (null för en ny profil)
+ * @returns {string|null} Felmeddelande eller null om namnet är giltigt
+ */
+function validateProfileName(name, currentId = null) {
+    if (!name) {
+        return 'Ange ett namn på profilen.';
+    }
+    if (name.length > MAX_PROFILE_NAME_LENGTH) {
+        return `Namnet får vara högst ${MAX_PROFILE_NAME_LENGTH} tecken.`;
+    }
+    
+    const taken = profiles.list.some(profile =>
+        profile.id !== currentId && profile.name.toLowerCase() === name.toLowerCase()
+    );
+    if (taken) {
+        return `Det finns redan en profil som heter "${name}".`;
+    }
+    
+    return null;
+}
+
+/**
+ * Sparar data direkt i en annan profils lagring (används när en profil dupliceras)
+ * @param {string} profileId - Profilens id
+ * @param {Object} doc - Data med schemaVersion
+ * @param {Object} receipts - Kvitton som de är sparade: id -> data
+ */
+async function writeProfileData(profileId, doc, receipts = {}) {
+    const backend = await openStorageBackend(getProfileStorageNames(profileId));
+    try {
+        // Kopian krypteras med samma applås som originalet
+        await backend.save(appLock ? await encryptText(JSON.stringify(doc), appLock) : doc);
+        await backend.saveReceipts(receipts);
+    } finally {
+        backend.close();
+    }
+}
+
+/**
+ * Tar bort all sparad data och alla säkerhetskopior för en profil
+ * @param {string} profileId - Profilens id
+ */
+async function deleteProfileStorage(profileId) {
+    const names = getProfileStorageNames(profileId);
+    localStorage.removeItem(names.data);
+    localStorage.removeItem(names.backups);
+    localStorage.removeItem(names.receipts);
+    if (!window.indexedDB) return;
+    
+    await new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(names.db);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+        // Är databasen öppen i en annan flik tas den bort när fliken stängs
+        request.onblocked = () => resolve();
+    });
+}
+
+/**
+ * Byter till en annan profil och laddar dess data. Den öppna profilen sparas först.
+ * @param {string} profileId - Profilen som ska öppnas
+ * @returns {Promise<boolean>} true om profilen öppnades
+ */
+async function switchProfile(profileId) {
+    const profile = profiles.list.find(p => p.id === profileId);
+    if (!profile || profileId === profiles.active) return false;
+    
+    if (saveTimer) await flushSave();
+    await saveQueue;
+    
+    const previous = { active: profiles.active, state, appLock, storageBackendPromise, lastAutoBackupDate };
+    profiles.active = profileId;
+    storageBackendPromise = null;
+    lastAutoBackupDate = null;
+    
+    const status = await loadState();
+    if (status === 'locked') {
+        // Utan lösenfras öppnas inte profilen - tillbaka till den som var öppen
+        storageBackendPromise?.then(backend => backend.close()).catch(() => {});
+        ({ state, appLock, storageBackendPromise, lastAutoBackupDate } = previous);
+        profiles.active = previous.active;
+        renderProfileSwitcher();
+        showMessage(`"${profile.name}" är låst och öppnades inte.`, 'info');
+        return false;
+    }
+    
+    previous.storageBackendPromise?.then(backend => backend.close()).catch(() => {});
+    saveProfiles();
+    
+    // Ångra-historiken hör till den förra profilens data
+    undoStack = [];
+    redoStack = [];
+    saveUndoHistory();
+    
+    renderAll();
+    renderProfileList();
+    const recurringNote = recurringPostedOnLoad > 0
+        ? ` ${recurringPostedOnLoad} återkommande transaktioner har lagts till.`
+        : '';
+    showMessage(`Bytte till "${profile.name}".${recurringNote}`, 'success');
+    return true;
+}
+
+/**
+ * Fyller profilväljaren i sidhuvudet
+ */
+function renderProfileSwitcher() {
+    const select = document.getElementById('profileSelect');
+    if (!select) return;
+    
+    select.innerHTML = '';
+    profiles.list.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        select.appendChild(option);
+    });
+    select.value = profiles.active;
+}
+
+/**
+ * Renderar profilerna i profildialogen
+ */
+function renderProfileList() {
+    const container = document.getElementById('profileList');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    profiles.list.forEach(profile => {
+        const item = document.createElement('li');
+        item.className = 'category-item';
+        
+        // Namn (ändras direkt i fältet)
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = profile.name;
+        nameInput.maxLength = MAX_PROFILE_NAME_LENGTH;
+        nameInput.setAttribute('aria-label', `Namn på profilen ${profile.name}`);
+        nameInput.addEventListener('change', (e) => onRenameProfile(profile.id, e.target));
+        item.appendChild(nameInput);
+        
+        if (profile.id === profiles.active) {
+            const activeLabel = document.createElement('span');
+            activeLabel.className = 'category-usage';
+            activeLabel.textContent = 'Öppen';
+            item.appendChild(activeLabel);
+        } else {
+            const openBtn = document.createElement('button');
+            openBtn.className = 'btn btn-secondary btn-small';
+            openBtn.textContent = 'Öppna';
+            openBtn.setAttribute('aria-label', `Öppna profilen ${profile.name}`);
+            openBtn.addEventListener('click', () => switchProfile(profile.id));
+            item.appendChild(openBtn);
+        }
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger';
+        deleteBtn.textContent = 'Ta bort';
+        deleteBtn.disabled = profiles.list.length <= 1;
+        deleteBtn.setAttribute('aria-label', `Ta bort profilen ${profile.name}`);
+        deleteBtn.addEventListener('click', () => onDeleteProfile(profile.id));
+        item.appendChild(deleteBtn);
+        
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Visar eller döljer profildialogen
+ * @param {boolean} show - true för att visa
+ */
+function toggleProfileDialog(show) {
+    const dialog = document.getElementById('profileDialog');
+    if (!dialog) return;
+    
+    dialog.hidden = !show;
+    if (show) {
+        renderProfileList();
+        document.getElementById('newProfileName')?.focus();
+    }
+}
+
+// ===== ÅNGRA / GÖR OM =====
+
+// Knappen i toasten efter en ändring
+const UNDO_ACTION = { label: 'Ångra', onClick: () => undo() };
+
+/**
+ * Sparar en ögonblicksbild av state innan en ändring så att den kan ångras
+ * @param {string} label - Vad ändringen gäller, visas som "Ångrade: <label>"
+ */
+function recordUndo(label) {
+    undoStack.push({ label, snapshot: JSON.stringify(state) });
+    // Ett steg som försvinner ur historiken kan ha varit det sista som behövde ett kvitto
+    if (undoStack.length > UNDO_LIMIT || redoStack.length > 0) receiptCleanupNeeded = true;
+    if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+    redoStack = [];
+    saveUndoHistory();
+}
+
+/**
+ * Sparar ångra-historiken i sessionStorage. Blir det fullt tas de äldsta stegen bort.
+ */
+function saveUndoHistory() {
+    // Med applåset på sparas inga okrypterade ögonblicksbilder - historiken finns bara i minnet
+    if (appLock) {
+        sessionStorage.removeItem(UNDO_KEY);
+        updateUndoButtons();
+        return;
+    }
+    
+    try {
+        sessionStorage.setItem(UNDO_KEY, JSON.stringify({ undo: undoStack, redo: redoStack }));
+    } catch (error) {
+        if (undoStack.length > 1) {
+            undoStack.shift();
+            receiptCleanupNeeded = true;
+            saveUndoHistory();
+            return;
+        }
+        console.error('Kunde inte spara ångra-historiken:', error);
+    }
+    updateUndoButtons();
+}
+
+/**
+ * Läser in ångra-historiken efter en omladdning
+ */
+function loadUndoHistory() {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(UNDO_KEY) || 'null');
+        undoStack = Array.isArray(saved?.undo) ? saved.undo : [];
+        redoStack = Array.isArray(saved?.redo) ? saved.redo : [];
+    } catch (error) {
+        console.error('Kunde inte läsa ångra-historiken:', error);
+        undoStack = [];
+        redoStack = [];
+    }
+    updateUndoButtons();
+}
+
+/**
+ * Byter ut state mot en ögonblicksbild, ritar om och sparar
+ * @param {string} snapshot - State som JSON
+ */
+function applySnapshot(snapshot) {
+    state = normalizeState(JSON.parse(snapshot));
+    receiptCleanupNeeded = true;
+    
+    // Öppna dialoger kan peka på sådant som inte finns längre
+    closeEditDialog();
+    closeRecurringDialog();
+    closeGoalDialog();
+    closeContributionDialog();
+    
+    renderAll();
+    if (!document.getElementById('categoryDialog')?.hidden) {
+        renderCategoryEditor();
+    }
+    
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    saveUndoHistory();
+}
+
+/**
+ * Ångrar den senaste ändringen
+ */
+function undo() {
+    const entry = undoStack.pop();
+    if (!entry) {
+        showMessage('Det finns inget att ångra.', 'info');
+        return;
+    }
+    
+    redoStack.push({ label: entry.label, snapshot: JSON.stringify(state) });
+    applySnapshot(entry.snapshot);
+    showMessage(`Ångrade: ${entry.label}`, 'info', { action: { label: 'Gör om', onClick: redo } });
+}
+
+/**
+ * Gör om den senast ångrade ändringen
+ */
+function redo() {
+    const entry = redoStack.pop();
+    if (!entry) {
+        showMessage('Det finns inget att göra om.', 'info');
+        return;
+    }
+    
+    undoStack.push({ label: entry.label, snapshot: JSON.stringify(state) });
+    applySnapshot(entry.snapshot);
+    showMessage(`Gjorde om: ${entry.label}`, 'info', { action: UNDO_ACTION });
+}
+
+/**
+ * Aktiverar/inaktiverar knapparna för ångra och gör om
+ */
+function updateUndoButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) {
+        undoBtn.disabled = undoStack.length === 0;
+        undoBtn.title = undoStack.length ? `Ångra: ${undoStack[undoStack.length - 1].label}` : '';
+    }
+    if (redoBtn) {
+        redoBtn.disabled = redoStack.length === 0;
+        redoBtn.title = redoStack.length ? `Gör om: ${redoStack[redoStack.length - 1].label}` : '';
+    }
+}
+
+// ===== MÅNADSPERIODER =====
+
+/**
+ * Returnerar månadsnyckel (YYYY-MM) för ett datum i lokal tid
+ * @param {Date|string} date - Datum eller ISO-sträng
+ * @returns {string|null} Månadsnyckel eller null om datumet är ogiltigt
+ */
+function getMonthKey(date) {
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return null;
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Returnerar datumnyckel (YYYY-MM-DD) för ett datum i lokal tid
+ * @param {Date|string} date - Datum eller ISO-sträng
+ * @returns {string|null} Datumnyckel eller null om datumet är ogiltigt
+ */
+function getDateKey(date) {
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return null;
+    return `${getMonthKey(d)}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Gör om en datumnyckel (YYYY-MM-DD, t.ex. från ett datumfält) till ISO-sträng
+ * @param {string} dateKey - Datum (YYYY-MM-DD)
+ * @returns {string|null} ISO-sträng (kl. 12 lokal tid) eller null om datumet är ogiltigt
+ */
+function dateKeyToISO(dateKey) {
+    const match = String(dateKey || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+    
+    const [, year, month, day] = match.map(Number);
+    // Kl. 12 så att datumet inte hamnar på fel dag vid tidszonsbyte
+    const date = new Date(year, month - 1, day, 12);
+    if (isNaN(date.getTime()) || date.getDate() !== day) return null;
+    return date.toISOString();
+}
+
+/**
+ * Tolkar datumfältet i ett formulär. Dagens datum får aktuell tid så att
+ * ordningen i listorna följer när transaktionen lades in.
+ * @param {string} dateValue - Värde från datumfältet (YYYY-MM-DD), tomt = idag
+ * @returns {string|null} ISO-sträng eller null om datumet är ogiltigt
+ */
+function resolveEntryDate(dateValue) {
+    if (!dateValue || dateValue === getDateKey(new Date())) {
+        return new Date().toISOString();
+    }
+    return dateKeyToISO(dateValue);
+}
+
+/**
+ * Sorteringsfunktion för transaktioner, nyaste datum först.
+ * Samma datum sorteras på id så att senast registrerad hamnar först.
+ * @param {Object} a - Transaktion
+ * @param {Object} b - Transaktion
+ * @returns {number} Sorteringsvärde
+ */
+function compareByDateDesc(a, b) {
+    return (new Date(b.date) - new Date(a.date)) || String(b.id).localeCompare(String(a.id));
+}
+
+/**
+ * Kontrollerar om en sträng är en giltig månadsnyckel (YYYY-MM)
+ * @param {string} key - Sträng att kontrollera
+ * @returns {boolean} True om formatet stämmer
+ */
+function isMonthKey(key) {
+    return /^\d{4}-(0[1-9]|1[0-2])$/.test(key);
+}
+
+/**
+ * Flyttar en månadsnyckel framåt eller bakåt
+ * @param {string} monthKey - Månad (YYYY-MM)
+ * @param {number} delta - Antal månader (negativt för bakåt)
+ * @returns {string} Ny månadsnyckel
+ */
+function shiftMonth(monthKey, delta) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return getMonthKey(new Date(year, month - 1 + delta, 1));
+}
+
+/**
+ * Antal månader mellan två månader, t.ex. 2025-01 → 2025-04 = 3
+ * @param {string} fromMonth - Startmånad (YYYY-MM)
+ * @param {string} toMonth - Slutmånad (YYYY-MM)
+ * @returns {number} Antal månader (negativt om toMonth är före)
+ */
+function getMonthDifference(fromMonth, toMonth) {
+    const [fromYear, from] = fromMonth.split('-').map(Number);
+    const [toYear, to] = toMonth.split('-').map(Number);
+    return (toYear - fromYear) * 12 + (to - from);
+}
+
+/**
+ * Formaterar månadsnyckel som läsbar text, t.ex. "januari 2025"
+ * @param {string} monthKey - Månad (YYYY-MM)
+ * @returns {string} Månadsnamn och år
+ */
+function formatMonthLabel(monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('sv-SE', { month: 'long', year: 'numeric' });
+}
+
+/**
+ * Hämtar utgifter som hör till en månad
+ * @param {string} monthKey - Månad (YYYY-MM)
+ * @returns {Array} Utgifter i månaden
+ */
+function getExpensesForMonth(monthKey) {
+    return state.expenses.filter(exp => getMonthKey(exp.date) === monthKey);
+}
+
+/**
+ * Hämtar inkomster som hör till en månad
+ * @param {string} monthKey - Månad (YYYY-MM)
+ * @returns {Array} Inkomster i månaden
+ */
+function getIncomesForMonth(monthKey) {
+    return state.incomes.filter(inc => getMonthKey(inc.date) === monthKey);
+}
+
+/**
+ * Hittar månaden vars budget gäller för angiven månad. Saknar månaden
+ * egen budget används närmast föregående månad (budgeten kopieras framåt).
+ * @param {string} monthKey - Månad (YYYY-MM)
+ * @returns {string|null} Månadsnyckel med budget eller null
+ */
+function findBudgetMonth(monthKey) {
+    if (state.budgets[monthKey]) return monthKey;
+    
+    const earlier = Object.keys(state.budgets)
+        .filter(key => key < monthKey)
+        .sort();
+    return earlier.length > 0 ? earlier[earlier.length - 1] : null;
+}
+
+/**
+ * Hämtar budget för en kategori en viss månad
+ * @param {string} category - Kategori
+ * @param {string} monthKey - Månad (YYYY-MM)
+ * @returns {number} Budgeterat belopp
+ */
+function getBudget(category, monthKey) {
+    const budgetMonth = findBudgetMonth(monthKey);
+    if (!budgetMonth) return 0;
+    return toNumber(state.budgets[budgetMonth][category] || 0);
+}
+
+/**
+ * Sätter budget för en kategori en viss månad. Första ändringen i en månad
+ * kopierar in den ärvda budgeten så att övriga kategorier behåller sina värden.
+ * @param {string} category - Kategori
+ * @param {string} monthKey - Månad (YYYY-MM)
+ * @param {number} value - Nytt belopp
+ */
+function setBudget(category, monthKey, value) {
+    if (!state.budgets[monthKey]) {
+        const budgetMonth = findBudgetMonth(monthKey);
+        state.budgets[monthKey] = budgetMonth ? { ...state.budgets[budgetMonth] } : {};
+    }
+    state.budgets[monthKey][category] = value;
+}
+
+/**
+ * Beräknar hur mycket som spenderats i en kategori en viss månad
+ * @param {string} category - Kategori
+ * @param {string} monthKey - Månad (YYYY-MM)
+ * @returns {number} Summa utgifter
+ */
+function getCategorySpent(category, monthKey) {
+    if (budgetLedger) return budgetLedger.spent[monthKey]?.[category] || 0;
+    return getExpensesForMonth(monthKey)
+        .reduce((sum, exp) => sum + getAllocatedAmount(exp, category), 0);
+}
+
+/**
+ * Hittar den tidigaste månaden som har budget eller utgifter
+ * @returns {string|null} Månadsnyckel eller null om ingen data finns
+ */
+function getEarliestMonth() {
+    const months = [
+        ...Object.keys(state.budgets),
+        ...state.expenses.map(exp => getMonthKey(exp.date)).filter(Boolean)
+    ].sort();
+    return months[0] || null;
+}
+
+/**
+ * Räknar fram utgifterna per månad och kategori i en genomgång av alla utgifter.
+ * Överföringarna fylls i efter hand av getRolloverAmount.
+ * @returns {Object} { spent: månad -> kategori -> belopp, earliest, rollover: kategori -> löpande saldo }
+ */
+function buildBudgetLedger() {
+    const spent = {};
+    state.expenses.forEach(exp => {
+        const month = getMonthKey(exp.date);
+        if (!month) return;
+        const categories = spent[month] || (spent[month] = {});
+        getExpenseAllocations(exp).forEach(allocation => {
+            categories[allocation.category] = (categories[allocation.category] || 0) + toNumber(allocation.amount);
+        });
+    });
+    return { spent, earliest: getEarliestMonth(), rollover: {} };
+}
+
+/**
+ * Kör en funktion med en gemensam budgetliggare, så att utgifter och överföringar
+ * räknas fram en gång istället för i varje anrop. Liggaren gäller bara under
+ * anropet eftersom state kan ändras efteråt.
+ * @param {Function} fn - Funktionen som ska köras
+ * @returns {*} Det funktionen returnerar
+ */
+function withBudgetLedger(fn) {
+    if (budgetLedger) return fn();
+    
+    budgetLedger = buildBudgetLedger();
+    try {
+        return fn();
+    } finally {
+        budgetLedger = null;
+    }
+}
+
+/**
+ * Beräknar överfört belopp (överskott eller underskott) från tidigare
+ * månader för en kategori med rollover aktiverat. Saldot räknas framåt från
+ * den tidigaste månaden och sparas i liggaren, så att senare månader fortsätter
+ * där förra anropet slutade.
+ * @param {string} category - Kategori
+ * @param {string} monthKey - Månad (YYYY-MM)
+ * @returns {number} Överfört belopp, negativt vid underskott
+ */
+function getRolloverAmount(category, monthKey) {
+    if (!state.rollover[category]) return 0;
+    
+    const ledger = budgetLedger || buildBudgetLedger();
+    if (!ledger.earliest || monthKey <= ledger.earliest) return 0;
+    
+    // { month, carried, budget, byMonth }: nästa månad att räkna, saldot fram till den och budgeten som gäller
+    const balance = ledger.rollover[category] ||
+        (ledger.rollover[category] = { month: ledger.earliest, carried: 0, budget: null, byMonth: {} });
+    if (balance.byMonth[monthKey] !== undefined) return balance.byMonth[monthKey];
+    
+    // Månaderna gås igenom i ordning, så den senast sedda budgeten är den som gäller (se findBudgetMonth)
+    while (balance.month < monthKey) {
+        if (state.budgets[balance.month]) balance.budget = state.budgets[balance.month];
+        const budget = toNumber(balance.budget?.[category] || 0);
+        balance.carried += budget - (ledger.spent[balance.month]?.[category] || 0);
+        balance.month = shiftMonth(balance.month, 1);
+        balance.byMonth[balance.month] = toNumber(balance.carried);
+    }
+    return balance.byMonth[monthKey];
+}
+
+/**
+ * Räknar fram budgettabellens rader för en månad
+ * @param {string} monthKey - Månad (YYYY-MM)
+ * @returns {Array<Object>} { category, budget, carried, spent, remaining } per kategori
+ */
+function getBudgetRows(monthKey) {
+    return state.expenseCategories.map(category => getBudgetRow(category, monthKey));
+}
+
+/**
+ * Budgetrad för en kategori i en månad
+ * @param {string} category - Kategori
+ * @param {string} monthKey - Månad (YYYY-MM)
+ * @returns {Object} { category, budget, carried, spent, remaining }
+ */
+function getBudgetRow(category, monthKey) {
+    const budget = getBudget(category, monthKey);
+    const carried = getRolloverAmount(category, monthKey);
+    const spent = getCategorySpent(category, monthKey);
+    return { category, budget, carried, spent, remaining: toNumber(budget + carried - spent) };
+}
+
+/**
+ * Tillägg till bekräftelsemeddelanden när en transaktion hamnar i en annan månad än den som visas
+ * @param {string} date - Transaktionens ISO-datum
+ * @returns {string} Text att lägga till, tom om månaden är den som visas
+ */
+function describeOtherMonth(date) {
+    const monthKey = getMonthKey(date);
+    return monthKey !== selectedMonth ? ` Den finns under ${formatMonthLabel(monthKey)}.` : '';
+}
+
+/**
+ * Fyller datumfälten i formulären med dagens datum om de är tomma
+ */
+function setDefaultEntryDates() {
+    const today = getDateKey(new Date());
+    ['expenseDate', 'incomeDate'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input && !input.value) input.value = today;
+    });
+}
+
+/**
+ * Byter vald månad och renderar om dashboarden
+ * @param {string} monthKey - Månad (YYYY-MM)
+ */
+function setSelectedMonth(monthKey) {
+    if (!isMonthKey(monthKey)) return;
+    selectedMonth = monthKey;
+    renderAll();
+}
+
+// ===== RENDERING FUNKTIONER =====
+
+/**
+ * Huvudrenderare - anropar alla underfunktioner
+ */
+function renderAll() {
+    withBudgetLedger(() => {
+        renderMonthPicker();
+        populateExpenseSelect();
+        populateIncomeSelect();
+        renderBudgetTable();
+        renderBudgetAlerts();
+        renderTxList();
+        renderIncomeList();
+        renderHistory();
+        renderRecurringList();
+        renderGoals();
+        renderSharedExpenses();
+        renderAnalytics();
+        renderTagSummary();
+        updateExpenseGoalField();
+        updateTotals();
+        renderForecast();
+        renderProfileSwitcher();
+    });
+}
+
+/**
+ * Visar vald månad i månadsväljaren
+ */
+function renderMonthPicker() {
+    const picker = document.getElementById('monthPicker');
+    if (picker) {
+        picker.value = selectedMonth;
+    }
+    
+    const label = document.getElementById('monthLabel');
+    if (label) {
+        label.textContent = formatMonthLabel(selectedMonth);
+    }
+}
+
+/**
+ * Fyller expense category select med kategorier
+ */
+function populateExpenseSelect() {
+    const select = document.getElementById('expenseCategory');
+    if (!select) return;
+    
+    select.innerHTML = '';
+    state.expenseCategories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = category;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Fyller income source select med inkomstkällor
+ */
+function populateIncomeSelect() {
+    const select = document.getElementById('incomeSource');
+    if (!select) return;
+    
+    select.innerHTML = '';
+    state.incomeCategories.forEach(source => {
+        const option = document.createElement('option');
+        option.value = source;
+        option.textContent = source;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Renderar budget tabellen med alla kategorier för vald månad
+ */
+function renderBudgetTable() {
+    const tbody = document.getElementById('budgetBody');
+    if (!tbody) return;
+    
+    tbody.innerHTML = '';
+    
+    getBudgetRows(selectedMonth).forEach(({ category, budget, carried, spent, remaining }) => {
+        const row = document.createElement('tr');
+        
+        // Kategori
+        const catCell = document.createElement('td');
+        catCell.textContent = category;
+        row.appendChild(catCell);
+        
+        // Startbudget input
+        const budgetCell = document.createElement('td');
+        const budgetInput = document.createElement('input');
+        budgetInput.type = 'number';
+        budgetInput.step = '0.01';
+        budgetInput.min = '0';
+        budgetInput.value = budget;
+        budgetInput.placeholder = '0';
+        // Ett ångra-steg per redigering, inte per tangenttryckning
+        let undoRecorded = false;
+        budgetInput.addEventListener('focus', () => { undoRecorded = false; });
+        budgetInput.addEventListener('input', (e) => {
+            if (!undoRecorded) {
+                recordUndo(`budget för ${category}`);
+                undoRecorded = true;
+            }
+            const value = toNumber(e.target.value);
+            setBudget(category, selectedMonth, value);
+            updateBudgetBar(bar, getBudgetRow(category, selectedMonth));
+            renderBudgetAlerts();
+            updateTotals();
+            saveState(); // Auto-save budget ändringar direkt
+        });
+        budgetCell.appendChild(budgetInput);
+        row.appendChild(budgetCell);
+        
+        // Överfört från föregående månader (rollover)
+        const rolloverCell = document.createElement('td');
+        rolloverCell.className = 'rollover-cell';
+        const rolloverToggle = document.createElement('input');
+        rolloverToggle.type = 'checkbox';
+        rolloverToggle.checked = Boolean(state.rollover[category]);
+        rolloverToggle.setAttribute('aria-label', `För över saldo för ${category} till nästa månad`);
+        rolloverToggle.addEventListener('change', (e) => {
+            recordUndo(`överföring för ${category}`);
+            if (e.target.checked) {
+                state.rollover[category] = true;
+            } else {
+                delete state.rollover[category];
+            }
+            renderBudgetTable();
+            renderBudgetAlerts();
+            saveState();
+        });
+        const rolloverAmount = document.createElement('span');
+        rolloverAmount.textContent = state.rollover[category]
+            ? (carried < 0 ? '-' : '') + formatCurrency(Math.abs(carried))
+            : '–';
+        rolloverCell.appendChild(rolloverToggle);
+        rolloverCell.appendChild(rolloverAmount);
+        row.appendChild(rolloverCell);
+        
+        // Utgifter (beräknat)
+        const spentCell = document.createElement('td');
+        spentCell.textContent = formatCurrency(spent);
+        spentCell.style.textAlign = 'right';
+        row.appendChild(spentCell);
+        
+        // Återstående (beräknat)
+        const remainingCell = document.createElement('td');
+        
+        // Visar beloppet med minus om negativt
+        if (remaining < 0) {
+            remainingCell.textContent = '-' + formatCurrency(Math.abs(remaining));
+        } else {
+            remainingCell.textContent = formatCurrency(remaining);
+        }
+        
+        remainingCell.style.textAlign = 'right';
+        remainingCell.style.fontWeight = '600';
+        
+        // Färgkodning baserat på återstående belopp
+        if (remaining < 0) {
+            remainingCell.style.color = '#dc3545'; // Röd för negativt
+        } else {
+            remainingCell.style.color = '#28a745'; // Grön för positivt
+        }
+        
+        // Förloppsindikator för hur mycket av budgeten som har använts
+        const bar = document.createElement('div');
+        bar.appendChild(document.createElement('div'));
+        updateBudgetBar(bar, { category, budget, carried, spent, remaining });
+        remainingCell.appendChild(bar);
+        
+        row.appendChild(remainingCell);
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Renderar senaste transaktioner för vald månad i listan
+ */
+function renderTxList() {
+    const container = document.getElementById('txList');
+    if (!container) return;
+    
+    // Sortera transaktioner efter datum (nyaste först)
+    const sortedExpenses = getExpensesForMonth(selectedMonth).sort(compareByDateDesc);
+    
+    if (sortedExpenses.length === 0) {
+        container.innerHTML = '<p style="text-align: center; color: var(--muted); padding: 1rem;">Inga transaktioner än</p>';
+        return;
+    }
+    
+    container.innerHTML = '';
+    
+    // Visa max 10 senaste transaktioner
+    sortedExpenses.slice(0, 10).forEach(expense => {
+        const item = document.createElement('div');
+        item.className = 'transaction-item';
+        
+        const info = document.createElement('div');
+        info.className = 'transaction-info';
+        
+        const category = document.createElement('div');
+        category.className = 'transaction-category';
+        category.textContent = getExpenseAllocations(expense).map(row => row.category).join(' + ');
+        
+        const desc = document.createElement('div');
+        desc.className = 'transaction-desc';
+        desc.textContent = `${new Date(expense.date).toLocaleDateString('sv-SE')} – ${expense.desc || 'Ingen beskrivning'}`;
+        
+        info.appendChild(category);
+        info.appendChild(desc);
+        
+        const allocationText = describeAllocations(expense);
+        if (allocationText) {
+            const allocation = document.createElement('div');
+            allocation.className = 'transaction-allocation';
+            allocation.textContent = allocationText;
+            info.appendChild(allocation);
+        }
+        
+        if (expense.tags?.length) {
+            const tags = document.createElement('div');
+            tags.className = 'transaction-tags';
+            tags.textContent = formatTags(expense.tags);
+            info.appendChild(tags);
+        }
+        
+        const originalText = describeOriginalAmount(expense);
+        if (originalText) {
+            const original = document.createElement('div');
+            original.className = 'transaction-original';
+            original.textContent = originalText;
+            info.appendChild(original);
+        }
+        
+        const splitText = describeSplit(expense);
+        if (splitText) {
+            const split = document.createElement('div');
+            split.className = 'transaction-split';
+            split.textContent = splitText;
+            info.appendChild(split);
+        }
+        
+        const amount = document.createElement('span');
+        amount.className = 'transaction-amount';
+        amount.textContent = formatCurrency(expense.amount);
+        
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-secondary btn-small';
+        editBtn.textContent = 'Ändra';
+        editBtn.addEventListener('click', () => openEditDialog('expense', expense.id));
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger';
+        deleteBtn.textContent = 'Ta bort';
+        deleteBtn.addEventListener('click', () => deleteExpense(expense.id));
+        
+        item.appendChild(info);
+        item.appendChild(amount);
+        
+        const receiptCount = expense.receipts?.length || 0;
+        if (receiptCount > 0) {
+            const receiptBtn = document.createElement('button');
+            receiptBtn.className = 'btn btn-secondary btn-small';
+            receiptBtn.textContent = `🧾 ${receiptCount}`;
+            receiptBtn.setAttribute('aria-label', `Visa ${receiptCount === 1 ? 'kvittot' : `${receiptCount} kvitton`}`);
+            receiptBtn.addEventListener('click', () => openReceiptViewer(expense.id));
+            item.appendChild(receiptBtn);
+        }
+        
+        item.appendChild(editBtn);
+        item.appendChild(deleteBtn);
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Renderar inkomstlistan för vald månad
+ */
+function renderIncomeList() {
+    const container = document.getElementById('incomeList');
+    if (!container) return;
+    
+    // Sortera inkomster efter datum (nyaste först)
+    const sortedIncomes = getIncomesForMonth(selectedMonth).sort(compareByDateDesc);
+    
+    if (sortedIncomes.length === 0) {
+        container.innerHTML = '<p style="text-align: center; color: var(--muted); padding: 1rem;">Inga inkomster registrerade</p>';
+        return;
+    }
+    
+    container.innerHTML = '';
+    
+    sortedIncomes.forEach(income => {
+        const item = document.createElement('div');
+        item.className = 'income-item';
+        
+        const info = document.createElement('div');
+        info.className = 'income-info';
+        
+        const source = document.createElement('div');
+        source.className = 'income-source';
+        source.textContent = income.source;
+        
+        const date = document.createElement('div');
+        date.className = 'income-date';
+        date.textContent = new Date(income.date).toLocaleDateString('sv-SE') + (income.desc ? ` – ${income.desc}` : '');
+        
+        info.appendChild(source);
+        info.appendChild(date);
+        
+        const amount = document.createElement('span');
+        amount.className = 'income-amount';
+        amount.textContent = formatCurrency(income.amount);
+        
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-secondary btn-small';
+        editBtn.textContent = 'Ändra';
+        editBtn.addEventListener('click', () => openEditDialog('income', income.id));
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger';
+        deleteBtn.textContent = 'Ta bort';
+        deleteBtn.addEventListener('click', () => deleteIncome(income.id));
+        
+        item.appendChild(info);
+        item.appendChild(amount);
+        item.appendChild(editBtn);
+        item.appendChild(deleteBtn);
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Beräknar total inkomst för månaden
+ * @param {string} monthKey - Månad (YYYY-MM), standard är vald månad
+ */
+function calculateTotalIncome(monthKey = selectedMonth) {
+    return getIncomesForMonth(monthKey).reduce((sum, income) => sum + toNumber(income.amount), 0);
+}
+
+/**
+ * Beräknar totala utgifter för månaden
+ * @param {string} monthKey - Månad (YYYY-MM), standard är vald månad
+ */
+function calculateTotalExpenses(monthKey = selectedMonth) {
+    return getExpensesForMonth(monthKey).reduce((sum, expense) => sum + toNumber(expense.amount), 0);
+}
+
+/**
+ * Uppdaterar total summering (inkomster - utgifter)
+ */
+function updateTotals() {
+    // Beräkna totals
+    const totalIncome = calculateTotalIncome();
+    const totalExpenses = calculateTotalExpenses();
+    const remaining = totalIncome - totalExpenses;
+    
+    // Uppdatera total inkomst
+    const totalIncomeElement = document.getElementById('totalIncome');
+    if (totalIncomeElement) {
+        totalIncomeElement.textContent = formatCurrency(totalIncome);
+    }
+    
+    // Uppdatera summary breakdown
+    const summaryIncomeElement = document.getElementById('summaryIncome');
+    if (summaryIncomeElement) {
+        summaryIncomeElement.textContent = formatCurrency(totalIncome);
+    }
+    
+    const summaryExpensesElement = document.getElementById('summaryExpenses');
+    if (summaryExpensesElement) {
+        summaryExpensesElement.textContent = formatCurrency(totalExpenses);
+    }
+    
+    // Uppdatera kvarvarande
+    const totalElement = document.getElementById('totalRemaining');
+    if (totalElement) {
+        // Visar beloppet med minus om negativt
+        if (remaining < 0) {
+            totalElement.textContent = '-' + formatCurrency(Math.abs(remaining));
+        } else {
+            totalElement.textContent = formatCurrency(remaining);
+        }
+        
+        // Färgkodning för kvarvarande
+        if (remaining < 0) {
+            totalElement.style.color = '#dc3545'; // Röd för negativt
+        } else {
+            totalElement.style.color = '#28a745'; // Grön för positivt
+        }
+    }
+}
+
+// ===== IMPORT =====
+
+/**
+ * Validerar att inläst data har samma form som DEFAULT och att
+ * varje transaktion har giltiga fält
+ * @param {any} data - Parsad JSON
+ * @returns {Array<string>} Lista med fel, tom om datan är giltig
+ */
+function validateImportData(data) {
+    const errors = [];
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['Filen innehåller inte ett budget-objekt.'];
+    }
+    
+    if (Number(data.schemaVersion) > SCHEMA_VERSION) {
+        return ['Filen är sparad med en nyare version av appen.'];
+    }
+    
+    const knownKeys = Object.keys(DEFAULT).filter(key => key in data);
+    if (knownKeys.length === 0) {
+        return ['Filen saknar budgetdata (kategorier, budgetar, utgifter eller inkomster).'];
+    }
+    
+    // Varje fält ska ha samma typ som i DEFAULT
+    knownKeys.forEach(key => {
+        const expectArray = Array.isArray(DEFAULT[key]);
+        const isArray = Array.isArray(data[key]);
+        if (expectArray !== isArray || typeof data[key] !== 'object' || data[key] === null) {
+            errors.push(`Fältet "${key}" ska vara ${expectArray ? 'en lista' : 'ett objekt'}.`);
+        }
+    });
+    
+    ['expenseCategories', 'incomeCategories'].forEach(key => {
+        if (Array.isArray(data[key]) && data[key].some(cat => typeof cat !== 'string' || !cat.trim())) {
+            errors.push(`Fältet "${key}" innehåller ogiltiga kategorinamn.`);
+        }
+    });
+    
+    const checkTransactions = (list, nameKey, label) => {
+        if (!Array.isArray(list)) return;
+        list.forEach((tx, index) => {
+            const problems = getTransactionProblems(tx, nameKey);
+            if (problems.length > 0) {
+                errors.push(`${label} ${index + 1} ${problems.join(', ')}.`);
+            }
+        });
+    };
+    checkTransactions(data.expenses, 'category', 'Utgift');
+    checkTransactions(data.incomes, 'source', 'Inkomst');
+    
+    return errors;
+}
+
+/**
+ * Sammanfattar en import jämfört med nuvarande state
+ * @param {Object} imported - Normaliserad importdata
+ * @returns {Object} Antal, datumintervall och nya kategorier
+ */
+function summarizeImport(imported) {
+    const existingIds = new Set([...state.expenses, ...state.incomes].map(tx => String(tx.id)));
+    const dates = [...imported.expenses, ...imported.incomes]
+        .map(tx => new Date(tx.date))
+        .sort((a, b) => a - b);
+    
+    return {
+        expenseCount: imported.expenses.length,
+        incomeCount: imported.incomes.length,
+        newExpenseCount: imported.expenses.filter(exp => !existingIds.has(String(exp.id))).length,
+        newIncomeCount: imported.incomes.filter(inc => !existingIds.has(String(inc.id))).length,
+        firstDate: dates[0] || null,
+        lastDate: dates[dates.length - 1] || null,
+        budgetMonths: Object.keys(imported.budgets).sort(),
+        receiptCount: getReceiptIds(imported.expenses).size,
+        newExpenseCategories: imported.expenseCategories.filter(cat => !state.expenseCategories.includes(cat)),
+        newIncomeCategories: imported.incomeCategories.filter(cat => !state.incomeCategories.includes(cat))
+    };
+}
+
+/**
+ * Slår ihop importerad data med nuvarande state. Transaktioner med samma id
+ * behålls som de är, befintliga budgetvärden skrivs inte över.
+ * @param {Object} imported - Normaliserad importdata
+ * @returns {Object} Ny sammanslagen state
+ */
+function mergeImportedState(imported) {
+    const merged = JSON.parse(JSON.stringify(state));
+    
+    imported.expenseCategories.forEach(cat => {
+        if (!merged.expenseCategories.includes(cat)) merged.expenseCategories.push(cat);
+    });
+    imported.incomeCategories.forEach(cat => {
+        if (!merged.incomeCategories.includes(cat)) merged.incomeCategories.push(cat);
+    });
+    
+    Object.entries(imported.budgets).forEach(([month, budgets]) => {
+        merged.budgets[month] = { ...budgets, ...(merged.budgets[month] || {}) };
+    });
+    
+    Object.keys(imported.rollover).forEach(category => {
+        if (imported.rollover[category]) merged.rollover[category] = true;
+    });
+    
+    merged.warningThresholds = { ...imported.warningThresholds, ...merged.warningThresholds };
+    merged.exchangeRates = { ...imported.exchangeRates, ...merged.exchangeRates };
+    
+    imported.people.forEach(name => {
+        if (!merged.people.includes(name)) merged.people.push(name);
+    });
+    
+    merged.categoryRules = { ...imported.categoryRules, ...merged.categoryRules };
+    if (Object.keys(merged.csvMapping).length === 0) {
+        merged.csvMapping = imported.csvMapping;
+    }
+    
+    const expenseIds = new Set(merged.expenses.map(exp => String(exp.id)));
+    imported.expenses.forEach(exp => {
+        if (!expenseIds.has(String(exp.id))) merged.expenses.push(exp);
+    });
+    
+    const incomeIds = new Set(merged.incomes.map(inc => String(inc.id)));
+    imported.incomes.forEach(inc => {
+        if (!incomeIds.has(String(inc.id))) merged.incomes.push(inc);
+    });
+    
+    ['recurring', 'goals', 'goalContributions', 'settlements'].forEach(key => {
+        const ids = new Set(merged[key].map(item => String(item.id)));
+        imported[key].forEach(item => {
+            if (!ids.has(String(item.id))) merged[key].push(item);
+        });
+    });
+    
+    return merged;
+}
+
+/**
+ * Visar förhandsgranskning av en import i dialogen
+ * @param {string} fileName - Namn på vald fil
+ * @param {Object} summary - Resultat från summarizeImport
+ */
+function renderImportPreview(fileName, summary) {
+    const preview = document.getElementById('importPreview');
+    if (!preview) return;
+    
+    preview.innerHTML = '';
+    
+    const formatDate = (date) => date ? date.toLocaleDateString('sv-SE') : '–';
+    const rows = [
+        ['Fil', fileName],
+        ['Utgifter', `${summary.expenseCount} st (${summary.newExpenseCount} nya)`],
+        ['Inkomster', `${summary.incomeCount} st (${summary.newIncomeCount} nya)`],
+        ['Period', `${formatDate(summary.firstDate)} – ${formatDate(summary.lastDate)}`],
+        ['Kvitton', `${summary.receiptCount} st`],
+        ['Budgetmånader', summary.budgetMonths.length > 0 ? summary.budgetMonths.map(formatMonthLabel).join(', ') : 'Inga'],
+        ['Nya utgiftskategorier', summary.newExpenseCategories.join(', ') || 'Inga'],
+        ['Nya inkomstkällor', summary.newIncomeCategories.join(', ') || 'Inga']
+    ];
+    
+    const list = document.createElement('dl');
+    list.className = 'import-summary';
+    rows.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        list.appendChild(term);
+        list.appendChild(detail);
+    });
+    preview.appendChild(list);
+    
+    const hint = document.createElement('p');
+    hint.className = 'import-hint';
+    hint.textContent = '"Slå ihop" lägger till nya transaktioner (samma id hoppas över). "Ersätt allt" skriver över all nuvarande data.';
+    preview.appendChild(hint);
+}
+
+/**
+ * Öppnar eller stänger importdialogen
+ * @param {boolean} open - True för att visa dialogen
+ */
+function toggleImportDialog(open) {
+    const dialog = document.getElementById('importDialog');
+    if (!dialog) return;
+    
+    dialog.hidden = !open;
+    if (open) {
+        document.getElementById('importMergeBtn')?.focus();
+    } else {
+        pendingImport = null;
+        pendingImportReceipts = {};
+    }
+}
+
+// ===== BANKIMPORT (CSV) =====
+
+// Kolumnnamn som svenska banker brukar använda, i prioritetsordning
+const CSV_COLUMN_HINTS = {
+    date: ['bokföringsdag', 'bokföringsdatum', 'transaktionsdag', 'transaktionsdatum', 'datum', 'date'],
+    desc: ['beskrivning', 'text', 'rubrik', 'specifikation', 'meddelande', 'mottagare', 'description'],
+    amount: ['belopp', 'amount', 'summa']
+};
+
+// Ord i bankens beskrivning som inte säger något om butiken
+const MERCHANT_STOPWORDS = ['KORTKÖP', 'KORTKOP', 'KÖP', 'KOP', 'RESERVERAT', 'PRELIMINÄRT', 'INGEN'];
+
+/**
+ * Gissar avgränsare genom att räkna tecken i de första raderna
+ * @param {string} text - CSV-text
+ * @returns {string} ';', '\t' eller ','
+ */
+function detectCsvDelimiter(text) {
+    const sample = text.split(/\r?\n/).slice(0, 5).join('\n');
+    const count = (char) => sample.split(char).length - 1;
+    return [';', '\t', ','].reduce((best, char) => (count(char) > count(best) ? char : best));
+}
+
+/**
+ * Delar upp CSV-text i rader och kolumner. Hanterar citattecken
+ * och radbrytningar inom citerade fält.
+ * @param {string} text - CSV-text
+ * @param {string} delimiter - Kolumnavgränsare
+ * @returns {Array<Array<string>>} Rader med kolumner (tomma rader borttagna)
+ */
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Tolkar ett belopp i svenskt format, t.ex. "-1 234,50" eller "−45,00 kr".
+ * Klarar även "1.234,50" och "1,234.50" - det sista skiljetecknet är decimaltecknet.
+ * @param {string} value - Belopp som text
+ * @returns {number|null} Belopp eller null om det inte går att tolka
+ */
+function parseSwedishAmount(value) {
+    let cleaned = String(value || '')
+        .replace(/\s/g, '')
+        .replace(/kr|sek/gi, '')
+        .replace(/\u2212/g, '-'); // Typografiskt minustecken
+    
+    const lastComma = cleaned.lastIndexOf(',');
+    const lastDot = cleaned.lastIndexOf('.');
+    if (lastComma !== -1 && lastDot !== -1) {
+        // Det tecken som kommer sist är decimaltecknet, det andra tusentalsavgränsare
+        cleaned = lastComma > lastDot
+            ? cleaned.replace(/\./g, '').replace(',', '.')
+            : cleaned.replace(/,/g, '');
+    } else if (/^-?[1-9]\d{0,2}(,\d{3}){2,}$/.test(cleaned)) {
+        // Flera komman med exakt tre siffror efter är tusentalsavgränsare, t.ex. "1,234,567".
+        // Ett ensamt komma är alltid decimalkomma.
+        cleaned = cleaned.replace(/,/g, '');
+    } else if (lastComma !== -1) {
+        cleaned = cleaned.replace(',', '.');
+    } else if (/^-?[1-9]\d{0,2}(\.\d{3})+$/.test(cleaned)) {
+        // Punkt följd av exakt tre siffror är tusentalsavgränsare, t.ex. "1.234"
+        cleaned = cleaned.replace(/\./g, '');
+    }
+    
+    if (cleaned === '' || isNaN(Number(cleaned))) return null;
+    return toNumber(cleaned);
+}
+
+/**
+ * Tolkar ett datum från kontoutdrag (2025-01-20, 20250120 eller 20/01/2025)
+ * @param {string} value - Datum som text
+ * @returns {string|null} ISO-sträng (kl. 12 lokal tid) eller null
+ */
+function parseBankDate(value) {
+    const trimmed = String(value || '').trim();
+    let year, month, day;
+    
+    let match = trimmed.match(/^(\d{4})[-/.]?(\d{2})[-/.]?(\d{2})/);
+    if (match) {
+        [, year, month, day] = match;
+    } else if ((match = trimmed.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/))) {
+        [, day, month, year] = match;
+    } else {
+        return null;
+    }
+    
+    return dateKeyToISO(`${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`);
+}
+
+/**
+ * Tar fram nyckelordet (oftast butiksnamnet) ur en beskrivning, t.ex. "ICA" ur "ICA NARA SODERMALM"
+ * @param {string} desc - Beskrivning
+ * @returns {string} Nyckelord i versaler eller tom sträng
+ */
+function getMerchantKey(desc) {
+    const words = String(desc || '')
+        .toUpperCase()
+        .replace(/[^A-ZÅÄÖÉÜ&]+/g, ' ')
+        .split(' ')
+        .filter(word => word.length >= 2 && !MERCHANT_STOPWORDS.includes(word));
+    return words[0] || '';
+}
+
+/**
+ * Bygger kategoriregler från tidigare utgifter (vanligaste kategorin per
+ * nyckelord). Sparade regler i state.categoryRules går före.
+ * @returns {Object} Nyckelord -> kategori
+ */
+function buildCategoryRules() {
+    const counts = {};
+    state.expenses.forEach(exp => {
+        const key = getMerchantKey(exp.desc);
+        if (!key) return;
+        counts[key] = counts[key] || {};
+        counts[key][exp.category] = (counts[key][exp.category] || 0) + 1;
+    });
+    
+    const learned = {};
+    Object.entries(counts).forEach(([key, categories]) => {
+        learned[key] = Object.keys(categories).reduce((best, cat) => (categories[cat] > categories[best] ? cat : best));
+    });
+    
+    return { ...learned, ...state.categoryRules };
+}
+
+/**
+ * Gissar kategori för en utgift utifrån beskrivningen
+ * @param {string} desc - Beskrivning från banken
+ * @param {Object} rules - Regler från buildCategoryRules
+ * @returns {string} Kategori
+ */
+function guessExpenseCategory(desc, rules) {
+    const isKnown = (cat) => cat && state.expenseCategories.includes(cat);
+    
+    const key = getMerchantKey(desc);
+    if (isKnown(rules[key])) return rules[key];
+    
+    // Nyckelordet kan stå längre in i texten, t.ex. "BG 5050-1055 SPOTIFY"
+    const upperDesc = ` ${String(desc || '').toUpperCase()} `;
+    const ruleKey = Object.keys(rules).find(k => isKnown(rules[k]) && upperDesc.includes(` ${k} `));
+    if (ruleKey) return rules[ruleKey];
+    
+    return state.expenseCategories.includes('Övrigt') ? 'Övrigt' : state.expenseCategories[0];
+}
+
+/**
+ * Gissar inkomstkälla, t.ex. "CSN" om beskrivningen innehåller det
+ * @param {string} desc - Beskrivning från banken
+ * @returns {string} Inkomstkälla
+ */
+function guessIncomeSource(desc) {
+    const upperDesc = String(desc || '').toUpperCase();
+    const match = state.incomeCategories.find(source => upperDesc.includes(source.toUpperCase()));
+    if (match) return match;
+    return state.incomeCategories.includes('Extra') ? 'Extra' : state.incomeCategories[0];
+}
+
+/**
+ * Letar efter en befintlig transaktion med samma datum och belopp
+ * @param {Object} row - Granskningsrad { type, date, amount }
+ * @returns {boolean} True om raden troligen redan finns
+ */
+function isDuplicateTransaction(row) {
+    const list = row.type === 'expense' ? state.expenses : state.incomes;
+    const dateKey = getDateKey(row.date);
+    return list.some(tx => getDateKey(tx.date) === dateKey && toNumber(tx.amount) === row.amount);
+}
+
+/**
+ * Gissar vilken kolumn som innehåller datum, beskrivning och belopp.
+ * En tidigare sparad mappning används om rubrikerna finns i filen.
+ * @param {Array<string>} headers - Kolumnrubriker
+ * @returns {Object} { date, desc, amount } -> kolumnindex
+ */
+function guessCsvMapping(headers) {
+    const mapping = {};
+    const lowerHeaders = headers.map(h => h.trim().toLowerCase());
+    
+    Object.keys(CSV_COLUMN_HINTS).forEach(field => {
+        const saved = state.csvMapping[field];
+        if (saved && headers.includes(saved)) {
+            mapping[field] = headers.indexOf(saved);
+            return;
+        }
+        
+        for (const hint of CSV_COLUMN_HINTS[field]) {
+            const index = lowerHeaders.findIndex(h => h.includes(hint));
+            if (index !== -1) {
+                mapping[field] = index;
+                return;
+            }
+        }
+        mapping[field] = -1;
+    });
+    
+    return mapping;
+}
+
+/**
+ * Gör om CSV-rader till granskningsrader med typ, kategori och dubblettstatus
+ * @param {Array<Array<string>>} rows - Datarader (utan rubrik)
+ * @param {Object} mapping - { date, desc, amount } -> kolumnindex
+ * @returns {Object} { rows, skipped } där skipped är antal rader som inte gick att tolka
+ */
+function buildCsvReviewRows(rows, mapping) {
+    const rules = buildCategoryRules();
+    const result = [];
+    let skipped = 0;
+    
+    rows.forEach(cells => {
+        const date = parseBankDate(cells[mapping.date]);
+        const signedAmount = parseSwedishAmount(cells[mapping.amount]);
+        const desc = (cells[mapping.desc] || '').trim();
+        
+        if (!date || !signedAmount) {
+            skipped++;
+            return;
+        }
+        
+        // Negativa belopp är dragningar från kontot, positiva är insättningar
+        const type = signedAmount < 0 ? 'expense' : 'income';
+        const row = {
+            type,
+            date,
+            desc,
+            amount: Math.abs(signedAmount),
+            category: type === 'expense' ? guessExpenseCategory(desc, rules) : guessIncomeSource(desc)
+        };
+        row.duplicate = isDuplicateTransaction(row);
+        row.include = !row.duplicate;
+        result.push(row);
+    });
+    
+    return { rows: result, skipped };
+}
+
+/**
+ * Läser en fil som text. Filer som inte är UTF-8 (vanligt hos banker) läses som Windows-1252.
+ * @param {File} file - Vald fil
+ * @returns {Promise<string>} Filens innehåll
+ */
+async function readTextFile(file) {
+    const buffer = await file.arrayBuffer();
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+    } catch (error) {
+        return new TextDecoder('windows-1252').decode(buffer);
+    }
+}
+
+/**
+ * Fyller kolumnväljarna i CSV-dialogen
+ * @param {Array<string>} headers - Kolumnrubriker
+ * @param {Object} mapping - Förvald mappning (kolumnindex)
+ */
+function renderCsvMapping(headers, mapping) {
+    const selects = {
+        date: document.getElementById('csvDateColumn'),
+        desc: document.getElementById('csvDescColumn'),
+        amount: document.getElementById('csvAmountColumn')
+    };
+    
+    Object.entries(selects).forEach(([field, select]) => {
+        if (!select) return;
+        select.innerHTML = '';
+        
+        const empty = document.createElement('option');
+        empty.value = '-1';
+        empty.textContent = 'Välj kolumn...';
+        select.appendChild(empty);
+        
+        headers.forEach((header, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = header || `Kolumn ${index + 1}`;
+            select.appendChild(option);
+        });
+        select.value = String(mapping[field]);
+    });
+    
+    const fileLabel = document.getElementById('csvFileName');
+    if (fileLabel && pendingCsv) {
+        fileLabel.textContent = `${pendingCsv.fileName} – ${pendingCsv.rows.length} rader`;
+    }
+}
+
+/**
+ * Renderar granskningstabellen för bankimporten
+ */
+function renderCsvReview() {
+    const tbody = document.getElementById('csvReviewBody');
+    if (!tbody) return;
+    
+    tbody.innerHTML = '';
+    
+    csvReviewRows.forEach(row => {
+        const tr = document.createElement('tr');
+        if (row.duplicate) tr.className = 'csv-duplicate';
+        
+        // Ta med
+        const includeCell = document.createElement('td');
+        const includeBox = document.createElement('input');
+        includeBox.type = 'checkbox';
+        includeBox.checked = row.include;
+        includeBox.setAttribute('aria-label', `Importera ${row.desc}`);
+        includeBox.addEventListener('change', (e) => {
+            row.include = e.target.checked;
+            updateCsvReviewSummary();
+        });
+        includeCell.appendChild(includeBox);
+        tr.appendChild(includeCell);
+        
+        // Datum
+        const dateCell = document.createElement('td');
+        dateCell.textContent = new Date(row.date).toLocaleDateString('sv-SE');
+        tr.appendChild(dateCell);
+        
+        // Beskrivning (+ dubblettmarkering)
+        const descCell = document.createElement('td');
+        descCell.textContent = row.desc || 'Ingen beskrivning';
+        if (row.duplicate) {
+            const badge = document.createElement('span');
+            badge.className = 'csv-duplicate-badge';
+            badge.textContent = 'Möjlig dubblett';
+            descCell.appendChild(badge);
+        }
+        tr.appendChild(descCell);
+        
+        // Belopp (minus för utgifter som i kontoutdraget)
+        const amountCell = document.createElement('td');
+        amountCell.textContent = (row.type === 'expense' ? '-' : '+') + formatCurrency(row.amount);
+        amountCell.className = row.type === 'expense' ? 'csv-amount-expense' : 'csv-amount-income';
+        tr.appendChild(amountCell);
+        
+        // Kategori eller inkomstkälla
+        const categoryCell = document.createElement('td');
+        const select = document.createElement('select');
+        const options = row.type === 'expense' ? state.expenseCategories : state.incomeCategories;
+        options.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = row.category;
+        select.setAttribute('aria-label', row.type === 'expense' ? 'Kategori' : 'Inkomstkälla');
+        select.addEventListener('change', (e) => {
+            row.category = e.target.value;
+        });
+        categoryCell.appendChild(select);
+        tr.appendChild(categoryCell);
+        
+        tbody.appendChild(tr);
+    });
+    
+    updateCsvReviewSummary();
+}
+
+/**
+ * Uppdaterar texten med antal valda rader i granskningen
+ */
+function updateCsvReviewSummary() {
+    const summary = document.getElementById('csvReviewSummary');
+    if (!summary) return;
+    
+    const included = csvReviewRows.filter(row => row.include);
+    const duplicates = csvReviewRows.filter(row => row.duplicate).length;
+    const expenseCount = included.filter(row => row.type === 'expense').length;
+    
+    summary.textContent = `${included.length} av ${csvReviewRows.length} rader valda ` +
+        `(${expenseCount} utgifter, ${included.length - expenseCount} inkomster). ` +
+        (duplicates > 0 ? `${duplicates} möjliga dubbletter är bortvalda.` : 'Inga dubbletter hittades.');
+}
+
+/**
+ * Visar ett av stegen i CSV-dialogen eller stänger den
+ * @param {string|null} step - 'mapping', 'review' eller null för att stänga
+ */
+function showCsvStep(step) {
+    const dialog = document.getElementById('csvDialog');
+    if (!dialog) return;
+    
+    dialog.hidden = !step;
+    const mappingStep = document.getElementById('csvMappingStep');
+    const reviewStep = document.getElementById('csvReviewStep');
+    if (mappingStep) mappingStep.hidden = step !== 'mapping';
+    if (reviewStep) reviewStep.hidden = step !== 'review';
+    
+    if (step === 'mapping') {
+        document.getElementById('csvDateColumn')?.focus();
+    } else if (step === 'review') {
+        document.getElementById('csvCommitBtn')?.focus();
+    } else {
+        pendingCsv = null;
+        csvReviewRows = [];
+    }
+}
+
+// ===== CSV-EXPORT =====
+
+/**
+ * Formaterar ett belopp för kalkylark med svenska inställningar (1234,50)
+ * @param {number} n - Belopp
+ * @returns {string} Belopp med decimalkomma utan tusentalsavgränsare
+ */
+function formatCsvNumber(n) {
+    return toNumber(n).toFixed(2).replace('.', ',');
+}
+
+/**
+ * Bygger CSV-text med semikolon som avgränsare och CRLF-radslut.
+ * Fält med semikolon, citattecken eller radbrytning citeras. Text som börjar med
+ * =, +, -, @ eller tabb (t.ex. beskrivningar från kontoutdrag) skulle tolkas som en
+ * formel i Excel/Google Sheets och får en apostrof först. Belopp lämnas som de är.
+ * @param {Array<Array<string>>} rows - Rader med kolumner
+ * @returns {string} CSV-text
+ */
+function toCsv(rows) {
+    const escapeField = (value) => {
+        const text = String(value ?? '');
+        if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(,\d+)?$/.test(text)) {
+            return `"'${text.replace(/"/g, '""')}"`;
+        }
+        return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(escapeField).join(';')).join('\r\n');
+}
+
+/**
+ * Kontrollerar om ett datum ligger inom ett intervall (båda gränserna inkluderade)
+ * @param {string} date - ISO-datum
+ * @param {string} from - Från och med (YYYY-MM-DD), tom sträng = ingen gräns
+ * @param {string} to - Till och med (YYYY-MM-DD), tom sträng = ingen gräns
+ * @returns {boolean} True om datumet är inom intervallet
+ */
+function isWithinDateRange(date, from, to) {
+    const key = getDateKey(date);
+    if (!key) return false;
+    return (!from || key >= from) && (!to || key <= to);
+}
+
+/**
+ * Bygger CSV-rader för utgifter inom datumintervallet
+ * @param {string} from - Från och med (YYYY-MM-DD)
+ * @param {string} to - Till och med (YYYY-MM-DD)
+ * @returns {Array<Array<string>>} Rubrik och rader, äldst först
+ */
+function buildExpenseCsvRows(from, to) {
+    const expenses = state.expenses
+        .filter(exp => isWithinDateRange(exp.date, from, to))
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+    
+    return [
+        ['Datum', 'Kategori', 'Beskrivning', 'Belopp', 'Valuta', 'Originalbelopp', 'Kurs', 'Fördelning', 'Taggar'],
+        ...expenses.map(exp => [
+            getDateKey(exp.date),
+            getExpenseAllocations(exp).map(row => row.category).join(' + '),
+            exp.desc || '',
+            formatCsvNumber(exp.amount),
+            exp.currency || BASE_CURRENCY,
+            formatCsvNumber(exp.currency ? exp.originalAmount : exp.amount),
+            exp.currency ? String(toRate(exp.rate)).replace('.', ',') : '',
+            (exp.allocations || []).map(row => `${row.category} ${formatCsvNumber(row.amount)}`).join('; '),
+            formatTags(exp.tags)
+        ])
+    ];
+}
+
+/**
+ * Bygger CSV-rader för inkomster inom datumintervallet
+ * @param {string} from - Från och med (YYYY-MM-DD)
+ * @param {string} to - Till och med (YYYY-MM-DD)
+ * @returns {Array<Array<string>>} Rubrik och rader, äldst först
+ */
+function buildIncomeCsvRows(from, to) {
+    const incomes = state.incomes
+        .filter(inc => isWithinDateRange(inc.date, from, to))
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+    
+    return [
+        ['Datum', 'Källa', 'Beskrivning', 'Belopp'],
+        ...incomes.map(inc => [getDateKey(inc.date), inc.source, inc.desc || '', formatCsvNumber(inc.amount)])
+    ];
+}
+
+/**
+ * Bygger CSV-rader för budgettabellen, en rad per kategori och månad.
+ * Utan datumintervall exporteras vald månad. Saknas ena gränsen räknas den från
+ * vald månad (utan "från") eller innevarande månad (utan "till"), men aldrig
+ * så att intervallet blir tomt.
+ * @param {string} from - Från och med (YYYY-MM-DD)
+ * @param {string} to - Till och med (YYYY-MM-DD)
+ * @returns {Array<Array<string>>} Rubrik och rader
+ */
+function buildBudgetCsvRows(from, to) {
+    const fromMonth = from ? from.slice(0, 7) : '';
+    const toMonth = to ? to.slice(0, 7) : '';
+    const currentMonth = getMonthKey(new Date());
+    
+    let firstMonth = fromMonth || selectedMonth;
+    if (!fromMonth && toMonth && toMonth < firstMonth) firstMonth = toMonth;
+    let lastMonth = toMonth || (fromMonth ? currentMonth : selectedMonth);
+    if (!toMonth && lastMonth < firstMonth) lastMonth = firstMonth;
+    
+    const rows = [['Månad', 'Kategori', 'Budget', 'Överfört', 'Utgifter', 'Återstående']];
+    // Överföringarna räknas vidare månad för månad istället för från början varje gång
+    withBudgetLedger(() => {
+        for (let month = firstMonth; month <= lastMonth; month = shiftMonth(month, 1)) {
+            const budgetRows = getBudgetRows(month);
+            budgetRows.forEach(row => {
+                rows.push([
+                    month,
+                    row.category,
+                    formatCsvNumber(row.budget),
+                    formatCsvNumber(row.carried),
+                    formatCsvNumber(row.spent),
+                    formatCsvNumber(row.remaining)
+                ]);
+            });
+            
+            const sum = (field) => budgetRows.reduce((total, row) => total + row[field], 0);
+            rows.push([
+                month,
+                'Totalt',
+                formatCsvNumber(sum('budget')),
+                formatCsvNumber(sum('carried')),
+                formatCsvNumber(sum('spent')),
+                formatCsvNumber(sum('remaining'))
+            ]);
+        }
+    });
+    
+    return rows;
+}
+
+/**
+ * Öppnar eller stänger dialogen för CSV-export
+ * @param {boolean} open - True för att visa dialogen
+ */
+function toggleCsvExportDialog(open) {
+    const dialog = document.getElementById('csvExportDialog');
+    if (!dialog) return;
+    
+    dialog.hidden = !open;
+    if (open) {
+        document.getElementById('csvExportType')?.focus();
+    }
+}
+
+// ===== KATEGORIHANTERING =====
+
+/**
+ * Hämtar kategorilistan för utgifter eller inkomster
+ * @param {string} type - 'expense' eller 'income'
+ * @returns {Array<string>} Kategorilistan i state (samma referens)
+ */
+function getCategoryList(type) {
+    return type === 'expense' ? state.expenseCategories : state.incomeCategories;
+}
+
+/**
+ * Hämtar transaktionerna som hör till en kategori eller inkomstkälla
+ * @param {string} type - 'expense' eller 'income'
+ * @param {string} name - Kategori/källa
+ * @returns {Array} Transaktioner
+ */
+function getCategoryTransactions(type, name) {
+    return type === 'expense'
+        ? state.expenses.filter(exp => hasExpenseCategory(exp, name))
+        : state.incomes.filter(inc => inc.source === name);
+}
+
+/**
+ * Validerar ett kategorinamn
+ * @param {string} type - 'expense' eller 'income'
+ * @param {string} name - Nytt namn
+ * @param {string} currentName - Nuvarande namn vid namnbyte (ignoreras i dubblettkontrollen)
+ * @returns {string|null} Felmeddelande eller null om namnet är giltigt
+ */
+function validateCategoryName(type, name, currentName = null) {
+    if (!name) {
+        return 'Ange ett namn.';
+    }
+    
+    const taken = getCategoryList(type).some(existing =>
+        existing !== currentName && existing.toLowerCase() === name.toLowerCase()
+    );
+    if (taken) {
+        return `"${name}" finns redan.`;
+    }
+    
+    return null;
+}
+
+/**
+ * Byter namn på en kategori och skriver om alla ställen där den används
+ * (utgifter, budgetar för alla månader, rollover, varningsgränser och kategoriregler)
+ * @param {string} type - 'expense' eller 'income'
+ * @param {string} oldName - Nuvarande namn
+ * @param {string} newName - Nytt namn
+ */
+function renameCategory(type, oldName, newName) {
+    const list = getCategoryList(type);
+    list[list.indexOf(oldName)] = newName;
+    
+    getCategoryTemplates(type, oldName).forEach(tpl => { tpl[getNameField(type)] = newName; });
+    
+    if (type === 'income') {
+        getCategoryTransactions(type, oldName).forEach(inc => { inc.source = newName; });
+        return;
+    }
+    
+    getCategoryTransactions(type, oldName).forEach(exp => moveExpenseCategory(exp, oldName, newName));
+    
+    Object.values(state.budgets).forEach(monthBudgets => {
+        if (oldName in monthBudgets) {
+            monthBudgets[newName] = monthBudgets[oldName];
+            delete monthBudgets[oldName];
+        }
+    });
+    
+    if (state.rollover[oldName]) {
+        state.rollover[newName] = true;
+        delete state.rollover[oldName];
+    }
+    
+    if (oldName in state.warningThresholds) {
+        state.warningThresholds[newName] = state.warningThresholds[oldName];
+        delete state.warningThresholds[oldName];
+    }
+    
+    Object.keys(state.categoryRules).forEach(key => {
+        if (state.categoryRules[key] === oldName) state.categoryRules[key] = newName;
+    });
+}
+
+/**
+ * Tar bort en kategori. Transaktioner (och budget) flyttas till targetName.
+ * @param {string} type - 'expense' eller 'income'
+ * @param {string} name - Kategori att ta bort
+ * @param {string|null} targetName - Kategori som tar över transaktionerna
+ */
+function removeCategory(type, name, targetName) {
+    const list = getCategoryList(type);
+    list.splice(list.indexOf(name), 1);
+    
+    // Mallar utan transaktioner har ingen vald mottagare - använd första kategorin
+    getCategoryTemplates(type, name).forEach(tpl => { tpl[getNameField(type)] = targetName || list[0]; });
+    
+    if (type === 'income') {
+        getCategoryTransactions(type, name).forEach(inc => { inc.source = targetName; });
+        return;
+    }
+    
+    getCategoryTransactions(type, name).forEach(exp => moveExpenseCategory(exp, name, targetName));
+    
+    // Budgeten följer med transaktionerna så att totalen för månaden inte ändras
+    Object.values(state.budgets).forEach(monthBudgets => {
+        if (name in monthBudgets) {
+            if (targetName) {
+                monthBudgets[targetName] = toNumber((monthBudgets[targetName] || 0) + monthBudgets[name]);
+            }
+            delete monthBudgets[name];
+        }
+    });
+    
+    delete state.rollover[name];
+    delete state.warningThresholds[name];
+    
+    Object.keys(state.categoryRules).forEach(key => {
+        if (state.categoryRules[key] !== name) return;
+        if (targetName) {
+            state.categoryRules[key] = targetName;
+        } else {
+            delete state.categoryRules[key];
+        }
+    });
+}
+
+/**
+ * Flyttar en kategori ett steg upp eller ner i listan
+ * @param {string} type - 'expense' eller 'income'
+ * @param {string} name - Kategori att flytta
+ * @param {number} direction - -1 för upp, 1 för ner
+ */
+function moveCategory(type, name, direction) {
+    const list = getCategoryList(type);
+    const index = list.indexOf(name);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= list.length) return;
+    
+    [list[index], list[target]] = [list[target], list[index]];
+}
+
+/**
+ * Renderar en kategorilista i kategorieditorn
+ * @param {string} type - 'expense' eller 'income'
+ * @param {string} containerId - Id på listans element
+ */
+function renderCategoryList(type, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    container.innerHTML = '';
+    const list = getCategoryList(type);
+    
+    list.forEach((name, index) => {
+        const item = document.createElement('li');
+        item.className = 'category-item';
+        
+        // Namn (ändras direkt i fältet)
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = name;
+        nameInput.setAttribute('aria-label', `Namn på ${name}`);
+        nameInput.addEventListener('change', (e) => onRenameCategory(type, name, e.target));
+        
+        const usage = document.createElement('span');
+        usage.className = 'category-usage';
+        usage.textContent = `${getCategoryTransactions(type, name).length} st`;
+        
+        const upBtn = document.createElement('button');
+        upBtn.className = 'btn btn-secondary btn-small';
+        upBtn.textContent = '↑';
+        upBtn.disabled = index === 0;
+        upBtn.setAttribute('aria-label', `Flytta upp ${name}`);
+        upBtn.addEventListener('click', () => onMoveCategory(type, name, -1));
+        
+        const downBtn = document.createElement('button');
+        downBtn.className = 'btn btn-secondary btn-small';
+        downBtn.textContent = '↓';
+        downBtn.disabled = index === list.length - 1;
+        downBtn.setAttribute('aria-label', `Flytta ner ${name}`);
+        downBtn.addEventListener('click', () => onMoveCategory(type, name, 1));
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger';
+        deleteBtn.textContent = 'Ta bort';
+        deleteBtn.disabled = list.length <= 1;
+        deleteBtn.addEventListener('click', () => onDeleteCategory(type, name));
+        
+        item.appendChild(nameInput);
+        item.appendChild(usage);
+        item.appendChild(upBtn);
+        item.appendChild(downBtn);
+        item.appendChild(deleteBtn);
+        container.appendChild(item);
+        
+        // Kategorin används - välj vart transaktionerna ska flyttas innan borttagning
+        if (categoryPendingDelete && categoryPendingDelete.type === type && categoryPendingDelete.name === name) {
+            container.appendChild(createReassignRow(type, name));
+        }
+    });
+}
+
+/**
+ * Skapar raden där man väljer vilken kategori som tar över transaktionerna
+ * @param {string} type - 'expense' eller 'income'
+ * @param {string} name - Kategori som ska tas bort
+ * @returns {HTMLElement} Listelement
+ */
+function createReassignRow(type, name) {
+    const row = document.createElement('li');
+    row.className = 'category-reassign';
+    
+    const count = getCategoryTransactions(type, name).length;
+    const label = document.createElement('label');
+    label.textContent = `${count} transaktioner i "${name}" flyttas till:`;
+    
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', 'Kategori som tar över transaktionerna');
+    getCategoryList(type).filter(other => other !== name).forEach(other => {
+        const option = document.createElement('option');
+        option.value = other;
+        option.textContent = other;
+        select.appendChild(option);
+    });
+    
+    const confirmBtn = document.createElement('button');
+    confirmBtn.className = 'btn btn-danger';
+    confirmBtn.textContent = 'Flytta och ta bort';
+    confirmBtn.addEventListener('click', () => onConfirmDeleteCategory(type, name, select.value));
+    
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn btn-secondary btn-small';
+    cancelBtn.textContent = 'Avbryt';
+    cancelBtn.addEventListener('click', () => {
+        categoryPendingDelete = null;
+        renderCategoryEditor();
+    });
+    
+    row.appendChild(label);
+    row.appendChild(select);
+    row.appendChild(confirmBtn);
+    row.appendChild(cancelBtn);
+    return row;
+}
+
+/**
+ * Renderar båda listorna i kategorieditorn
+ */
+function renderCategoryEditor() {
+    renderCategoryList('expense', 'expenseCategoryList');
+    renderCategoryList('income', 'incomeCategoryList');
+}
+
+/**
+ * Öppnar eller stänger kategorieditorn
+ * @param {boolean} open - True för att visa dialogen
+ */
+function toggleCategoryDialog(open) {
+    const dialog = document.getElementById('categoryDialog');
+    if (!dialog) return;
+    
+    categoryPendingDelete = null;
+    dialog.hidden = !open;
+    if (open) {
+        renderCategoryEditor();
+        document.getElementById('newExpenseCategory')?.focus();
+    }
+}
+
+/**
+ * Renderar om allt efter en kategoriändring och sparar
+ * @param {string} message - Meddelande vid lyckad sparning
+ */
+function commitCategoryChange(message) {
+    renderAll();
+    renderCategoryEditor();
+    
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    if (message) showMessage(message, 'success', { action: UNDO_ACTION });
+}
+
+// ===== REDIGERA TRANSAKTIONER =====
+
+/**
+ * Hittar en transaktion utifrån typ och id
+ * @param {string} type - 'expense' eller 'income'
+ * @param {string} id - Transaktionens id
+ * @returns {Object|undefined} Transaktionen
+ */
+function findTransaction(type, id) {
+    const list = type === 'expense' ? state.expenses : state.incomes;
+    return list.find(tx => tx.id === id);
+}
+
+/**
+ * Öppnar ändringsdialogen ifylld med transaktionens värden
+ * @param {string} type - 'expense' eller 'income'
+ * @param {string} id - Transaktionens id
+ */
+function openEditDialog(type, id) {
+    const tx = findTransaction(type, id);
+    const dialog = document.getElementById('editDialog');
+    if (!tx || !dialog) return;
+    
+    editingTransaction = { type, id };
+    
+    const title = document.getElementById('editDialogTitle');
+    if (title) {
+        title.textContent = type === 'expense' ? '✏️ Ändra utgift' : '✏️ Ändra inkomst';
+    }
+    
+    const label = document.getElementById('editCategoryLabel');
+    if (label) {
+        label.textContent = type === 'expense' ? 'Kategori:' : 'Källa:';
+    }
+    
+    const select = document.getElementById('editCategory');
+    select.innerHTML = '';
+    getCategoryList(type).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.value = type === 'expense' ? tx.category : tx.source;
+    
+    // Utgifter i utländsk valuta ändras i originalvalutan
+    const currencySelect = document.getElementById('editCurrency');
+    const rateInput = document.getElementById('editRate');
+    document.getElementById('editCurrencyGroup').hidden = type !== 'expense';
+    currencySelect.value = tx.currency || BASE_CURRENCY;
+    rateInput.value = tx.currency ? toRate(tx.rate) : '';
+    rateInput.dataset.currency = tx.currency || '';
+    document.getElementById('editAmount').value = toNumber(tx.currency ? tx.originalAmount : tx.amount);
+    document.getElementById('editDesc').value = tx.desc && tx.desc !== 'Ingen beskrivning' ? tx.desc : '';
+    document.getElementById('editDate').value = getDateKey(tx.date) || '';
+    updateCurrencyFields('edit');
+    
+    const splitFields = document.getElementById('editSplitFields');
+    if (type === 'expense') {
+        renderSplitFields('editSplitFields', tx);
+    } else if (splitFields) {
+        splitFields.hidden = true;
+        splitFields.innerHTML = '';
+    }
+    
+    document.getElementById('editReceiptGroup').hidden = type !== 'expense';
+    receiptDrafts.edit = type === 'expense' ? (tx.receipts || []).map(id => ({ id })) : [];
+    renderReceiptDrafts('edit');
+    
+    // Fördelning och taggar finns bara på utgifter
+    document.getElementById('editTagsGroup').hidden = type !== 'expense';
+    document.getElementById('editTags').value = type === 'expense' ? formatTags(tx.tags) : '';
+    allocationDrafts.edit = type === 'expense' && tx.allocations
+        ? tx.allocations.map(row => ({ category: row.category, amount: String(row.amount) }))
+        : [];
+    document.getElementById('editAllocations').hidden = type !== 'expense';
+    renderAllocationFields('edit');
+    updateEditGoalField(tx.goalId);
+    
+    dialog.hidden = false;
+    document.getElementById('editAmount').focus();
+}
+
+/**
+ * Uppdaterar sparmålsvalet i ändringsdialogen (bara för utgifter)
+ * @param {string} selected - Mål som ska vara valt
+ */
+function updateEditGoalField(selected) {
+    if (editingTransaction?.type === 'expense') {
+        updateGoalField('editCategory', 'editGoalGroup', 'editGoal', selected);
+    } else {
+        const group = document.getElementById('editGoalGroup');
+        if (group) group.hidden = true;
+    }
+}
+
+/**
+ * Stänger ändringsdialogen utan att spara
+ */
+function closeEditDialog() {
+    const dialog = document.getElementById('editDialog');
+    if (dialog) dialog.hidden = true;
+    editingTransaction = null;
+    receiptDrafts.edit = [];
+    allocationDrafts.edit = [];
+}
+
+// ===== HISTORIK =====
+
+/**
+ * Slår ihop utgifter och inkomster till en gemensam lista för historikvyn
+ * @returns {Array<Object>} { type, id, date, name, desc, amount, original, allocations, tags } -
+ *   original är beloppet i utländsk valuta, allocations utgiftens delar per kategori
+ */
+function getHistoryEntries() {
+    return [
+        ...state.expenses.map(exp => ({
+            type: 'expense',
+            id: exp.id,
+            date: exp.date,
+            name: getExpenseAllocations(exp).map(row => row.category).join(' + '),
+            desc: exp.desc || '',
+            amount: toNumber(exp.amount),
+            original: exp.currency ? formatForeignAmount(exp.originalAmount, exp.currency) : '',
+            allocations: getExpenseAllocations(exp),
+            tags: exp.tags || []
+        })),
+        ...state.incomes.map(inc => ({
+            type: 'income',
+            id: inc.id,
+            date: inc.date,
+            name: inc.source,
+            desc: inc.desc || '',
+            amount: toNumber(inc.amount),
+            allocations: [{ category: inc.source, amount: toNumber(inc.amount) }],
+            tags: []
+        }))
+    ];
+}
+
+/**
+ * Filtrerar historiken på fritext, typ, kategori, tagg, belopp och datum.
+ * Med ett kategorifilter räknas bara den delen av en fördelad utgift som hör till kategorin.
+ * @param {Array<Object>} entries - Från getHistoryEntries
+ * @param {Object} filters - historyFilters
+ * @returns {Array<Object>} Poster som matchar
+ */
+function filterHistoryEntries(entries, filters) {
+    const query = filters.query.trim().toLowerCase();
+    const min = filters.minAmount === '' ? null : toNumber(filters.minAmount);
+    const max = filters.maxAmount === '' ? null : toNumber(filters.maxAmount);
+    const [categoryType, categoryName] = filters.category ? filters.category.split(/:(.*)/s) : [];
+    
+    return entries
+        .filter(entry => !filters.category || (entry.type === categoryType &&
+            entry.allocations.some(row => row.category === categoryName)))
+        .map(entry => filters.category && entry.allocations.length > 1
+            ? { ...entry, amount: getAllocatedAmount(entry, categoryName) }
+            : entry)
+        .filter(entry => {
+            if (filters.type !== 'all' && entry.type !== filters.type) return false;
+            if (filters.tag && !entry.tags.includes(filters.tag)) return false;
+            if (query && !`${entry.desc} ${entry.name} ${formatTags(entry.tags)}`.toLowerCase().includes(query)) return false;
+            if (min !== null && entry.amount < min) return false;
+            if (max !== null && entry.amount > max) return false;
+            return isWithinDateRange(entry.date, filters.from, filters.to);
+        });
+}
+
+/**
+ * Sorterar historikposter på vald kolumn
+ * @param {Array<Object>} entries - Poster att sortera (ändras inte)
+ * @param {string} key - 'date', 'type', 'name', 'desc' eller 'amount'
+ * @param {string} dir - 'asc' eller 'desc'
+ * @returns {Array<Object>} Sorterad kopia
+ */
+function sortHistoryEntries(entries, key, dir) {
+    const factor = dir === 'asc' ? 1 : -1;
+    const compare = {
+        date: (a, b) => -compareByDateDesc(a, b),
+        amount: (a, b) => a.amount - b.amount,
+        type: (a, b) => a.type.localeCompare(b.type),
+        name: (a, b) => a.name.localeCompare(b.name, 'sv'),
+        desc: (a, b) => a.desc.localeCompare(b.desc, 'sv')
+    }[key] || ((a, b) => -compareByDateDesc(a, b));
+    
+    return [...entries].sort((a, b) => factor * compare(a, b) || compareByDateDesc(a, b));
+}
+
+/**
+ * Räknar ut löpande summa (inkomster minus utgifter) i datumordning
+ * @param {Array<Object>} entries - Filtrerade poster
+ * @returns {Map<string, number>} Nyckel "typ:id" -> löpande summa efter posten
+ */
+function calculateRunningTotals(entries) {
+    const totals = new Map();
+    let running = 0;
+    
+    [...entries].sort((a, b) => -compareByDateDesc(a, b)).forEach(entry => {
+        running += entry.type === 'income' ? entry.amount : -entry.amount;
+        totals.set(`${entry.type}:${entry.id}`, toNumber(running));
+    });
+    
+    return totals;
+}
+
+/**
+ * Fyller kategorifiltret med utgiftskategorier och inkomstkällor
+ */
+function populateHistoryCategoryFilter() {
+    const select = document.getElementById('historyCategory');
+    if (!select) return;
+    
+    select.innerHTML = '';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = 'Alla kategorier';
+    select.appendChild(all);
+    
+    [['expense', 'Utgifter'], ['income', 'Inkomster']].forEach(([type, label]) => {
+        const group = document.createElement('optgroup');
+        group.label = label;
+        getCategoryList(type).forEach(name => {
+            const option = document.createElement('option');
+            option.value = `${type}:${name}`;
+            option.textContent = name;
+            group.appendChild(option);
+        });
+        select.appendChild(group);
+    });
+    
+    // Kategorin kan ha tagits bort eller bytt namn
+    select.value = historyFilters.category;
+    if (select.value !== historyFilters.category) {
+        historyFilters.category = '';
+        select.value = '';
+    }
+}
+
+/**
+ * Fyller taggfiltret med alla taggar som används på utgifter
+ */
+function populateHistoryTagFilter() {
+    const select = document.getElementById('historyTag');
+    if (!select) return;
+    
+    select.innerHTML = '';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = 'Alla taggar';
+    select.appendChild(all);
+    
+    const tags = [...new Set(state.expenses.flatMap(exp => exp.tags || []))].sort((a, b) => a.localeCompare(b, 'sv'));
+    tags.forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.textContent = `#${tag}`;
+        select.appendChild(option);
+    });
+    
+    // Taggen kan ha försvunnit när den sista utgiften med den ändrades
+    select.value = historyFilters.tag;
+    if (select.value !== historyFilters.tag) {
+        historyFilters.tag = '';
+        select.value = '';
+    }
+}
+
+/**
+ * Formaterar ett belopp med tecken, t.ex. "-45,5 kr" eller "+12 000 kr"
+ * @param {number} n - Belopp
+ * @param {boolean} showPlus - Visa plustecken för positiva belopp
+ * @returns {string} Formaterat belopp
+ */
+function formatSignedCurrency(n, showPlus = false) {
+    if (n < 0) return '-' + formatCurrency(Math.abs(n));
+    return (showPlus && n > 0 ? '+' : '') + formatCurrency(n);
+}
+
+/**
+ * Renderar historikvyn med filter, sortering, sidindelning och summering
+ */
+function renderHistory() {
+    const tbody = document.getElementById('historyBody');
+    if (!tbody) return;
+    
+    populateHistoryCategoryFilter();
+    populateHistoryTagFilter();
+    
+    const filtered = filterHistoryEntries(getHistoryEntries(), historyFilters);
+    const sorted = sortHistoryEntries(filtered, historyFilters.sortKey, historyFilters.sortDir);
+    const runningTotals = calculateRunningTotals(filtered);
+    
+    const pageCount = Math.max(1, Math.ceil(sorted.length / HISTORY_PAGE_SIZE));
+    historyFilters.page = Math.min(Math.max(1, historyFilters.page), pageCount);
+    const start = (historyFilters.page - 1) * HISTORY_PAGE_SIZE;
+    const pageEntries = sorted.slice(start, start + HISTORY_PAGE_SIZE);
+    
+    tbody.innerHTML = '';
+    
+    if (pageEntries.length === 0) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 7;
+        cell.className = 'history-empty';
+        cell.textContent = state.expenses.length + state.incomes.length === 0
+            ? 'Inga transaktioner än'
+            : 'Inga transaktioner matchar filtret';
+        row.appendChild(cell);
+        tbody.appendChild(row);
+    }
+    
+    pageEntries.forEach(entry => {
+        const row = document.createElement('tr');
+        row.className = entry.type === 'expense' ? 'history-expense' : 'history-income';
+        
+        const cells = [
+            new Date(entry.date).toLocaleDateString('sv-SE'),
+            entry.type === 'expense' ? 'Utgift' : 'Inkomst',
+            entry.name,
+            [entry.desc, formatTags(entry.tags)].filter(Boolean).join(' ') || '–',
+            formatSignedCurrency(entry.type === 'expense' ? -entry.amount : entry.amount, true) +
+                (entry.original ? ` (${entry.original})` : ''),
+            formatSignedCurrency(runningTotals.get(`${entry.type}:${entry.id}`))
+        ];
+        cells.forEach((text, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (index >= 4) cell.className = 'history-number';
+            row.appendChild(cell);
+        });
+        
+        const actionsCell = document.createElement('td');
+        actionsCell.className = 'history-actions';
+        
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-secondary btn-small';
+        editBtn.textContent = 'Ändra';
+        editBtn.addEventListener('click', () => openEditDialog(entry.type, entry.id));
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger';
+        deleteBtn.textContent = 'Ta bort';
+        deleteBtn.addEventListener('click', () => {
+            if (entry.type === 'expense') {
+                deleteExpense(entry.id);
+            } else {
+                deleteIncome(entry.id);
+            }
+        });
+        
+        actionsCell.appendChild(editBtn);
+        actionsCell.appendChild(deleteBtn);
+        row.appendChild(actionsCell);
+        tbody.appendChild(row);
+    });
+    
+    // Sorteringsindikator i rubrikerna
+    document.querySelectorAll('#historyTable th[data-sort]').forEach(th => {
+        const active = th.dataset.sort === historyFilters.sortKey;
+        th.setAttribute('aria-sort', active ? (historyFilters.sortDir === 'asc' ? 'ascending' : 'descending') : 'none');
+        th.classList.toggle('sorted', active);
+    });
+    
+    // Summering för det filtrerade urvalet
+    const summary = document.getElementById('historySummary');
+    if (summary) {
+        const incomeTotal = filtered.filter(e => e.type === 'income').reduce((sum, e) => sum + e.amount, 0);
+        const expenseTotal = filtered.filter(e => e.type === 'expense').reduce((sum, e) => sum + e.amount, 0);
+        summary.textContent = `${filtered.length} transaktioner · Inkomster ${formatCurrency(incomeTotal)} · ` +
+            `Utgifter ${formatCurrency(expenseTotal)} · Netto ${formatSignedCurrency(incomeTotal - expenseTotal)}`;
+        
+        // Med en tagg vald visas vart pengarna gick, över alla kategorier
+        if (historyFilters.tag) {
+            const perCategory = {};
+            filtered.filter(e => e.type === 'expense').forEach(entry => {
+                entry.allocations
+                    .filter(row => !historyFilters.category || historyFilters.category === `expense:${row.category}`)
+                    .forEach(({ category, amount }) => {
+                        perCategory[category] = (perCategory[category] || 0) + amount;
+                    });
+            });
+            const breakdown = Object.entries(perCategory)
+                .sort((a, b) => b[1] - a[1])
+                .map(([category, amount]) => `${category} ${formatCurrency(amount)}`)
+                .join(', ');
+            if (breakdown) summary.textContent += ` · #${historyFilters.tag}: ${breakdown}`;
+        }
+    }
+    
+    const pageInfo = document.getElementById('historyPageInfo');
+    if (pageInfo) {
+        pageInfo.textContent = `Sida ${historyFilters.page} av ${pageCount}`;
+    }
+    const prevBtn = document.getElementById('historyPrevBtn');
+    if (prevBtn) prevBtn.disabled = historyFilters.page <= 1;
+    const nextBtn = document.getElementById('historyNextBtn');
+    if (nextBtn) nextBtn.disabled = historyFilters.page >= pageCount;
+}
+
+// ===== BUDGETVARNINGAR =====
+
+/**
+ * Varningsgräns för en kategori i procent av budgeten
+ * @param {string} category - Kategori
+ * @returns {number} Procent
+ */
+function getWarningThreshold(category) {
+    const threshold = Number(state.warningThresholds[category]);
+    return threshold > 0 ? threshold : DEFAULT_WARNING_THRESHOLD;
+}
+
+/**
+ * Hur mycket av budgeten en kategori har använt
+ * @param {Object} row - Budgetrad från getBudgetRow
+ * @returns {Object} { status: 'none'|'ok'|'warning'|'over', percent }
+ */
+function getBudgetStatus(row) {
+    const available = row.budget + row.carried;
+    if (available <= 0) {
+        return { status: row.spent > 0 ? 'over' : 'none', percent: row.spent > 0 ? 100 : 0 };
+    }
+    
+    const percent = (row.spent / available) * 100;
+    if (row.spent > available) return { status: 'over', percent };
+    if (percent >= getWarningThreshold(row.category)) return { status: 'warning', percent };
+    return { status: 'ok', percent };
+}
+
+/**
+ * Beskriver hur en ny utgift påverkar kategorins budget, om den passerar
+ * varningsgränsen eller budgeten
+ * @param {string} category - Kategori
+ * @param {number} amount - Utgiftens belopp
+ * @param {string} monthKey - Utgiftens månad (YYYY-MM)
+ * @returns {string|null} Varning eller null om köpet ryms
+ */
+function describeBudgetImpact(category, amount, monthKey) {
+    const before = getBudgetRow(category, monthKey);
+    const after = { ...before, spent: before.spent + amount, remaining: toNumber(before.remaining - amount) };
+    const statusBefore = getBudgetStatus(before).status;
+    const { status, percent } = getBudgetStatus(after);
+    
+    // Kategorier utan budget varnar inte
+    if (before.budget + before.carried <= 0) return null;
+    
+    if (status === 'over') {
+        return statusBefore === 'over'
+            ? `${category} är redan över budget och hamnar ${formatCurrency(Math.abs(after.remaining))} över.`
+            : `Köpet gör att ${category} går över budget med ${formatCurrency(Math.abs(after.remaining))}.`;
+    }
+    
+    if (status === 'warning' && statusBefore === 'ok') {
+        return `Köpet gör att ${category} har använt ${Math.round(percent)} % av budgeten (varningsgräns ${getWarningThreshold(category)} %).`;
+    }
+    
+    return null;
+}
+
+/**
+ * Ritar förloppsindikatorn för en budgetrad
+ * @param {HTMLElement} bar - Behållaren för stapeln
+ * @param {Object} row - Budgetrad från getBudgetRow
+ */
+function updateBudgetBar(bar, row) {
+    const { status, percent } = getBudgetStatus(row);
+    bar.className = `budget-bar budget-bar-${status}`;
+    bar.hidden = status === 'none';
+    bar.title = `${Math.round(percent)} % av budgeten använd`;
+    bar.firstChild.style.width = `${Math.min(100, percent)}%`;
+}
+
+/**
+ * Renderar översikten över kategorier som närmar sig eller har gått över budget
+ */
+function renderBudgetAlerts() {
+    const container = document.getElementById('budgetAlerts');
+    if (!container) return;
+    
+    const alerts = getBudgetRows(selectedMonth)
+        .map(row => ({ row, ...getBudgetStatus(row) }))
+        .filter(alert => alert.status === 'warning' || alert.status === 'over')
+        .sort((a, b) => b.percent - a.percent);
+    
+    if (alerts.length === 0) {
+        container.innerHTML = '<p class="budget-alerts-empty">Alla kategorier håller sig inom budget 👍</p>';
+        return;
+    }
+    
+    container.innerHTML = '';
+    alerts.forEach(({ row, status, percent }) => {
+        const item = document.createElement('div');
+        item.className = `budget-alert budget-alert-${status}`;
+        item.setAttribute('role', 'listitem');
+        
+        const name = document.createElement('strong');
+        name.textContent = row.category;
+        
+        const detail = document.createElement('span');
+        detail.textContent = status === 'over'
+            ? `Över budget med ${formatCurrency(Math.abs(row.remaining))}`
+            : `${Math.round(percent)} % använt, ${formatCurrency(row.remaining)} kvar`;
+        
+        item.appendChild(name);
+        item.appendChild(detail);
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Renderar listan med varningsgränser i dialogen
+ */
+function renderThresholdEditor() {
+    const container = document.getElementById('thresholdList');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    state.expenseCategories.forEach(category => {
+        const row = document.createElement('div');
+        row.className = 'threshold-row';
+        
+        const label = document.createElement('label');
+        label.textContent = category;
+        label.htmlFor = `threshold-${state.expenseCategories.indexOf(category)}`;
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = label.htmlFor;
+        input.min = '1';
+        input.max = '100';
+        input.step = '1';
+        input.value = getWarningThreshold(category);
+        input.dataset.category = category;
+        
+        const unit = document.createElement('span');
+        unit.textContent = '%';
+        
+        row.appendChild(label);
+        row.appendChild(input);
+        row.appendChild(unit);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Visar eller döljer dialogen för varningsgränser
+ * @param {boolean} show - true för att visa
+ */
+function toggleThresholdDialog(show) {
+    const dialog = document.getElementById('thresholdDialog');
+    if (!dialog) return;
+    
+    if (show) renderThresholdEditor();
+    dialog.hidden = !show;
+}
+
+// ===== ANALYS =====
+
+// Färger för diagrammen, i samma höstpalett som resten av sidan
+const CHART_COLORS = ['#E4B169', '#C9A888', '#F2D479', '#FF8C42', '#8FA876', '#B5838D', '#6D8EA0', '#D98F6B', '#A3916B', '#7A6A59', '#E8C4A0', '#9C6B4E'];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Skapar ett SVG-element med attribut
+ * @param {string} tag - Elementnamn, t.ex. 'rect'
+ * @param {Object} attrs - Attribut
+ * @returns {SVGElement} Elementet
+ */
+function createSvgElement(tag, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, String(value)));
+    return el;
+}
+
+/**
+ * Formaterar belopp kort för diagramaxlar, t.ex. "12 tkr"
+ * @param {number} amount - Belopp
+ * @returns {string} Kort belopp
+ */
+function formatAxisAmount(amount) {
+    return amount >= 1000 ? `${Math.round(amount / 1000)} tkr` : `${Math.round(amount)} kr`;
+}
+
+/**
+ * Månaderna som analysen gäller, äldst först
+ * @param {string} endMonth - Sista månaden (YYYY-MM)
+ * @param {number} count - Antal månader
+ * @returns {Array<string>} Månadsnycklar
+ */
+function getMonthRange(endMonth, count) {
+    return Array.from({ length: count }, (_, i) => shiftMonth(endMonth, i - count + 1));
+}
+
+/**
+ * Summerar utgifter per kategori under flera månader
+ * @param {Array<string>} months - Månadsnycklar
+ * @returns {Array<Object>} { category, amount } sorterat störst först
+ */
+function getCategoryTotals(months) {
+    const totals = {};
+    state.expenses
+        .filter(exp => months.includes(getMonthKey(exp.date)))
+        .forEach(exp => {
+            getExpenseAllocations(exp).forEach(({ category, amount }) => {
+                totals[category] = (totals[category] || 0) + toNumber(amount);
+            });
+        });
+    
+    return Object.entries(totals)
+        .map(([category, amount]) => ({ category, amount }))
+        .filter(row => row.amount > 0)
+        .sort((a, b) => b.amount - a.amount);
+}
+
+/**
+ * Tar fram de butiker/beskrivningar som det har lagts mest pengar på
+ * @param {Array<string>} months - Månadsnycklar
+ * @param {number} limit - Max antal
+ * @returns {Array<Object>} { name, amount, count } sorterat störst först
+ */
+function getTopMerchants(months, limit = 5) {
+    const totals = {};
+    state.expenses
+        .filter(exp => months.includes(getMonthKey(exp.date)) && exp.desc !== 'Ingen beskrivning')
+        .forEach(exp => {
+            const name = getMerchantKey(exp.desc);
+            if (!name) return;
+            totals[name] = totals[name] || { name, amount: 0, count: 0 };
+            totals[name].amount += toNumber(exp.amount);
+            totals[name].count++;
+        });
+    
+    return Object.values(totals)
+        .sort((a, b) => b.amount - a.amount)
+        .slice(0, limit);
+}
+
+/**
+ * Ritar ett munkdiagram med förklaring
+ * @param {HTMLElement} container - Behållare
+ * @param {Array<Object>} items - { label, amount }
+ */
+function renderDonutChart(container, items) {
+    container.innerHTML = '';
+    const total = items.reduce((sum, item) => sum + item.amount, 0);
+    if (total <= 0) {
+        container.innerHTML = '<p class="chart-empty">Inga utgifter under perioden</p>';
+        return;
+    }
+    
+    // Omkretsen 100 gör att varje del kan anges direkt i procent
+    const radius = 100 / (2 * Math.PI);
+    const svg = createSvgElement('svg', { viewBox: '0 0 42 42', class: 'donut-chart', role: 'img', 'aria-label': 'Utgifter per kategori' });
+    svg.appendChild(createSvgElement('circle', { cx: 21, cy: 21, r: radius, fill: 'none', stroke: 'var(--grid)', 'stroke-width': 6 }));
+    
+    let offset = 25; // börja klockan tolv
+    items.forEach((item, index) => {
+        const percent = (item.amount / total) * 100;
+        const slice = createSvgElement('circle', {
+            cx: 21,
+            cy: 21,
+            r: radius,
+            fill: 'none',
+            stroke: CHART_COLORS[index % CHART_COLORS.length],
+            'stroke-width': 6,
+            'stroke-dasharray': `${percent} ${100 - percent}`,
+            'stroke-dashoffset': offset
+        });
+        const title = createSvgElement('title');
+        title.textContent = `${item.label}: ${formatCurrency(item.amount)}`;
+        slice.appendChild(title);
+        svg.appendChild(slice);
+        offset -= percent;
+    });
+    
+    const totalText = createSvgElement('text', { x: 21, y: 22.5, 'text-anchor': 'middle', class: 'donut-total' });
+    totalText.textContent = formatAxisAmount(total);
+    svg.appendChild(totalText);
+    
+    const legend = document.createElement('ul');
+    legend.className = 'chart-legend';
+    items.forEach((item, index) => {
+        const li = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = 'chart-swatch';
+        swatch.style.background = CHART_COLORS[index % CHART_COLORS.length];
+        li.appendChild(swatch);
+        li.appendChild(document.createTextNode(`${item.label} – ${formatCurrency(item.amount)} (${Math.round((item.amount / total) * 100)} %)`));
+        legend.appendChild(li);
+    });
+    
+    container.appendChild(svg);
+    container.appendChild(legend);
+}
+
+/**
+ * Ritar ett stapeldiagram med en stapel per serie och månad. Serier av
+ * typen 'marker' ritas som ett streck, t.ex. budgeten ovanpå utfallet.
+ * @param {HTMLElement} container - Behållare
+ * @param {Array<string>} labels - Etikett per grupp (månad)
+ * @param {Array<Object>} series - { name, color, values, type: 'bar'|'marker' }
+ * @param {string} ariaLabel - Beskrivning för skärmläsare
+ */
+function renderBarChart(container, labels, series, ariaLabel) {
+    container.innerHTML = '';
+    const max = Math.max(0, ...series.flatMap(s => s.values));
+    if (max <= 0) {
+        container.innerHTML = '<p class="chart-empty">Inget att visa under perioden</p>';
+        return;
+    }
+    
+    const width = 600;
+    const height = 220;
+    const pad = { top: 10, right: 10, bottom: 28, left: 56 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    const y = value => pad.top + plotHeight - (value / max) * plotHeight;
+    
+    const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'bar-chart', role: 'img', 'aria-label': ariaLabel });
+    
+    // Stödlinjer vid 0, hälften och max
+    [0, 0.5, 1].forEach(step => {
+        const lineY = y(max * step);
+        svg.appendChild(createSvgElement('line', { x1: pad.left, x2: width - pad.right, y1: lineY, y2: lineY, class: 'chart-gridline' }));
+        const label = createSvgElement('text', { x: pad.left - 6, y: lineY + 4, 'text-anchor': 'end', class: 'chart-axis' });
+        label.textContent = formatAxisAmount(max * step);
+        svg.appendChild(label);
+    });
+    
+    const bars = series.filter(s => s.type !== 'marker');
+    const groupWidth = plotWidth / labels.length;
+    const barWidth = Math.min(40, (groupWidth * 0.7) / bars.length);
+    
+    labels.forEach((label, i) => {
+        const groupX = pad.left + i * groupWidth + (groupWidth - barWidth * bars.length) / 2;
+        
+        bars.forEach((s, j) => {
+            const value = s.values[i];
+            const rect = createSvgElement('rect', {
+                x: groupX + j * barWidth,
+                y: y(value),
+                width: barWidth - 2,
+                height: Math.max(0, pad.top + plotHeight - y(value)),
+                fill: s.color,
+                rx: 2
+            });
+            const title = createSvgElement('title');
+            title.textContent = `${s.name} ${label}: ${formatCurrency(value)}`;
+            rect.appendChild(title);
+            svg.appendChild(rect);
+        });
+        
+        series.filter(s => s.type === 'marker').forEach(s => {
+            const markerY = y(s.values[i]);
+            const marker = createSvgElement('line', {
+                x1: groupX - 4,
+                x2: groupX + barWidth * bars.length + 2,
+                y1: markerY,
+                y2: markerY,
+                stroke: s.color,
+                'stroke-width': 3
+            });
+            const title = createSvgElement('title');
+            title.textContent = `${s.name} ${label}: ${formatCurrency(s.values[i])}`;
+            marker.appendChild(title);
+            svg.appendChild(marker);
+        });
+        
+        const text = createSvgElement('text', { x: pad.left + (i + 0.5) * groupWidth, y: height - 8, 'text-anchor': 'middle', class: 'chart-axis' });
+        text.textContent = label;
+        svg.appendChild(text);
+    });
+    
+    const legend = document.createElement('ul');
+    legend.className = 'chart-legend chart-legend-inline';
+    series.forEach(s => {
+        const li = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = 'chart-swatch' + (s.type === 'marker' ? ' chart-swatch-marker' : '');
+        swatch.style.background = s.color;
+        li.appendChild(swatch);
+        li.appendChild(document.createTextNode(s.name));
+        legend.appendChild(li);
+    });
+    
+    container.appendChild(svg);
+    container.appendChild(legend);
+}
+
+/**
+ * Renderar listan med de största butikerna/beskrivningarna
+ * @param {HTMLElement} container - Behållare
+ * @param {Array<Object>} merchants - Resultat från getTopMerchants
+ */
+function renderTopMerchants(container, merchants) {
+    container.innerHTML = '';
+    if (merchants.length === 0) {
+        container.innerHTML = '<p class="chart-empty">Inga beskrivningar att visa</p>';
+        return;
+    }
+    
+    const max = merchants[0].amount;
+    const list = document.createElement('ol');
+    list.className = 'merchant-list';
+    merchants.forEach(merchant => {
+        const li = document.createElement('li');
+        
+        const label = document.createElement('div');
+        label.className = 'merchant-label';
+        label.textContent = `${merchant.name} (${merchant.count} st)`;
+        
+        const amount = document.createElement('span');
+        amount.textContent = formatCurrency(merchant.amount);
+        label.appendChild(amount);
+        
+        const bar = document.createElement('div');
+        bar.className = 'merchant-bar';
+        bar.style.width = `${(merchant.amount / max) * 100}%`;
+        
+        li.appendChild(label);
+        li.appendChild(bar);
+        list.appendChild(li);
+    });
+    container.appendChild(list);
+}
+
+/**
+ * Renderar hela analysdelen för perioden som slutar med vald månad
+ */
+function renderAnalytics() {
+    const section = document.getElementById('analytics');
+    if (!section) return;
+    
+    const months = getMonthRange(selectedMonth, analyticsSettings.months);
+    const shortLabels = months.map(month => {
+        const [year, m] = month.split('-').map(Number);
+        return new Date(year, m - 1, 1).toLocaleDateString('sv-SE', { month: 'short' });
+    });
+    
+    const period = document.getElementById('analyticsPeriod');
+    if (period) {
+        period.textContent = `${formatMonthLabel(months[0])} – ${formatMonthLabel(months[months.length - 1])}`;
+    }
+    
+    const categoryChart = document.getElementById('categoryChart');
+    if (categoryChart) {
+        renderDonutChart(categoryChart, getCategoryTotals(months).map(row => ({ label: row.category, amount: row.amount })));
+    }
+    
+    const monthlyChart = document.getElementById('monthlyChart');
+    if (monthlyChart) {
+        renderBarChart(monthlyChart, shortLabels, [
+            { name: 'Inkomster', color: '#8FA876', values: months.map(month => calculateTotalIncome(month)) },
+            { name: 'Utgifter', color: '#E4B169', values: months.map(month => calculateTotalExpenses(month)) }
+        ], 'Inkomster och utgifter per månad');
+    }
+    
+    // Kategorivalet för budget mot utfall
+    const select = document.getElementById('analyticsCategory');
+    if (select) {
+        if (!state.expenseCategories.includes(analyticsSettings.category)) {
+            analyticsSettings.category = state.expenseCategories[0] || '';
+        }
+        select.innerHTML = '';
+        state.expenseCategories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category;
+            select.appendChild(option);
+        });
+        select.value = analyticsSettings.category;
+    }
+    
+    const budgetChart = document.getElementById('budgetChart');
+    if (budgetChart && analyticsSettings.category) {
+        const category = analyticsSettings.category;
+        renderBarChart(budgetChart, shortLabels, [
+            { name: 'Utfall', color: '#C9A888', values: months.map(month => getCategorySpent(category, month)) },
+            { name: 'Budget inkl. överfört', color: '#FF8C42', type: 'marker', values: months.map(month => Math.max(0, getBudget(category, month) + getRolloverAmount(category, month))) }
+        ], `Budget mot utfall för ${category}`);
+    }
+    
+    const merchants = document.getElementById('merchantList');
+    if (merchants) {
+        renderTopMerchants(merchants, getTopMerchants(months));
+    }
+    
+    const monthsSelect = document.getElementById('analyticsMonths');
+    if (monthsSelect) monthsSelect.value = String(analyticsSettings.months);
+}
+
+// ===== ÅTERKOMMANDE TRANSAKTIONER =====
+
+// Frekvenser: enhet i singular/plural för beskrivningar
+const RECURRING_UNITS = {
+    weekly: ['vecka', 'veckor'],
+    monthly: ['månad', 'månader'],
+    yearly: ['år', 'år']
+};
+
+/**
+ * Fältet som håller kategorin i en transaktion eller mall
+ * @param {string} type - 'expense' eller 'income'
+ * @returns {string} 'category' eller 'source'
+ */
+function getNameField(type) {
+    return type === 'expense' ? 'category' : 'source';
+}
+
+/**
+ * Skapar en mall för en återkommande transaktion
+ * @param {Object} fields - { type, name, amount, desc, frequency, interval, startDate, endDate }
+ * @returns {Object} Mall { id, type, category|source, amount, desc, frequency, interval,
+ *                   startDate, endDate, postedCount, paused }
+ */
+function createRecurringTemplate(fields) {
+    return {
+        id: generateId(),
+        type: fields.type,
+        [getNameField(fields.type)]: fields.name,
+        amount: fields.amount,
+        desc: fields.desc,
+        frequency: fields.frequency,   // 'weekly', 'monthly' eller 'yearly'
+        interval: fields.interval,     // var N:e vecka/månad/år
+        startDate: fields.startDate,   // YYYY-MM-DD
+        endDate: fields.endDate,       // YYYY-MM-DD eller tom sträng
+        postedCount: 0,                // antal tillfällen som bokförts (eller hoppats över)
+        paused: false
+    };
+}
+
+/**
+ * Hämtar mallar som använder en kategori eller inkomstkälla
+ * @param {string} type - 'expense' eller 'income'
+ * @param {string} name - Kategori/källa
+ * @returns {Array<Object>} Mallar
+ */
+function getCategoryTemplates(type, name) {
+    return state.recurring.filter(tpl => tpl.type === type && tpl[getNameField(type)] === name);
+}
+
+/**
+ * Räknar ut datumet för ett visst tillfälle av en mall. Dagar som inte
+ * finns i månaden (t.ex. den 31:a) flyttas till månadens sista dag.
+ * @param {Object} template - Mall
+ * @param {number} index - Tillfälle (0 = startdatum)
+ * @returns {string} Datum (YYYY-MM-DD)
+ */
+function getOccurrenceDate(template, index) {
+    const [year, month, day] = template.startDate.split('-').map(Number);
+    const step = index * Math.max(1, template.interval || 1);
+    
+    if (template.frequency === 'weekly') {
+        return getDateKey(new Date(year, month - 1, day + step * 7, 12));
+    }
+    
+    const monthOffset = template.frequency === 'yearly' ? step * 12 : step;
+    const lastDay = new Date(year, month + monthOffset, 0).getDate();
+    return getDateKey(new Date(year, month - 1 + monthOffset, Math.min(day, lastDay), 12));
+}
+
+/**
+ * Nästa tillfälle som inte har bokförts
+ * @param {Object} template - Mall
+ * @returns {string|null} Datum (YYYY-MM-DD) eller null om mallen har löpt ut
+ */
+function getNextOccurrence(template) {
+    const next = getOccurrenceDate(template, template.postedCount);
+    return !template.endDate || next <= template.endDate ? next : null;
+}
+
+/**
+ * Räknar tillfällen till och med ett datum, används för att inte bokföra
+ * gamla tillfällen i efterhand (vid paus eller ändrat schema)
+ * @param {Object} template - Mall
+ * @param {string} dateKey - Datum (YYYY-MM-DD)
+ * @returns {number} Antal tillfällen till och med datumet
+ */
+function countOccurrencesThrough(template, dateKey) {
+    let count = 0;
+    while (getOccurrenceDate(template, count) <= dateKey) {
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Bokför alla tillfällen som har passerat, inklusive missade perioder
+ * sedan appen senast öppnades
+ * @param {string} todayKey - Dagens datum (YYYY-MM-DD)
+ * @returns {Array<Object>} Nya transaktioner
+ */
+function applyRecurringTransactions(todayKey = getDateKey(new Date())) {
+    const posted = [];
+    
+    state.recurring.forEach(template => {
+        if (template.paused) return;
+        
+        let next = getNextOccurrence(template);
+        while (next && next <= todayKey) {
+            const tx = {
+                id: generateId(),
+                [getNameField(template.type)]: template[getNameField(template.type)],
+                amount: toNumber(template.amount),
+                desc: template.desc || (template.type === 'expense' ? 'Ingen beskrivning' : ''),
+                date: dateKeyToISO(next),
+                recurringId: template.id
+            };
+            
+            if (template.type === 'expense') {
+                state.expenses.push(tx);
+            } else {
+                state.incomes.push(tx);
+            }
+            posted.push(tx);
+            
+            template.postedCount++;
+            next = getNextOccurrence(template);
+        }
+    });
+    
+    return posted;
+}
+
+/**
+ * Beskriver hur ofta en mall upprepas, t.ex. "Var 3:e månad"
+ * @param {Object} template - Mall
+ * @returns {string} Beskrivning
+ */
+function describeRecurrence(template) {
+    const [singular, plural] = RECURRING_UNITS[template.frequency] || RECURRING_UNITS.monthly;
+    const interval = Math.max(1, template.interval || 1);
+    if (interval === 1) {
+        return template.frequency === 'yearly' ? 'Varje år' : `Varje ${singular}`;
+    }
+    
+    // Svenska ordningstal: 2:a, 3:e, 21:a, 11:e
+    const suffix = [1, 2].includes(interval % 10) && ![11, 12].includes(interval % 100) ? 'a' : 'e';
+    return `Var ${interval}:${suffix} ${template.frequency === 'yearly' ? plural : singular}`;
+}
+
+/**
+ * Renderar listan med återkommande mallar
+ */
+function renderRecurringList() {
+    const container = document.getElementById('recurringList');
+    if (!container) return;
+    
+    if (state.recurring.length === 0) {
+        container.innerHTML = '<p style="text-align: center; color: var(--muted); padding: 1rem;">Inga återkommande transaktioner</p>';
+        return;
+    }
+    
+    container.innerHTML = '';
+    
+    state.recurring.forEach(template => {
+        const item = document.createElement('div');
+        item.className = 'transaction-item recurring-item' + (template.paused ? ' recurring-paused' : '');
+        
+        const info = document.createElement('div');
+        info.className = 'transaction-info';
+        
+        const name = document.createElement('div');
+        name.className = 'transaction-category';
+        name.textContent = template[getNameField(template.type)] + (template.desc ? ` – ${template.desc}` : '');
+        
+        const schedule = document.createElement('div');
+        schedule.className = 'transaction-desc';
+        const next = getNextOccurrence(template);
+        const status = template.paused
+            ? 'Pausad'
+            : (next ? `Nästa: ${next}` : 'Avslutad');
+        schedule.textContent = `${template.type === 'expense' ? 'Utgift' : 'Inkomst'} · ${describeRecurrence(template)} · ${status}`;
+        
+        info.appendChild(name);
+        info.appendChild(schedule);
+        
+        const amount = document.createElement('span');
+        amount.className = 'transaction-amount';
+        amount.textContent = formatCurrency(template.amount);
+        
+        const pauseBtn = document.createElement('button');
+        pauseBtn.className = 'btn btn-secondary btn-small';
+        pauseBtn.textContent = template.paused ? 'Återuppta' : 'Pausa';
+        pauseBtn.addEventListener('click', () => onToggleRecurringPause(template.id));
+        
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-secondary btn-small';
+        editBtn.textContent = 'Ändra';
+        editBtn.addEventListener('click', () => openRecurringDialog(template.id));
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger';
+        deleteBtn.textContent = 'Ta bort';
+        deleteBtn.addEventListener('click', () => onDeleteRecurring(template.id));
+        
+        item.appendChild(info);
+        item.appendChild(amount);
+        item.appendChild(pauseBtn);
+        item.appendChild(editBtn);
+        item.appendChild(deleteBtn);
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Fyller kategorivalet i malldialogen utifrån vald typ
+ * @param {string} selected - Kategori/källa som ska vara vald
+ */
+function populateRecurringCategorySelect(selected) {
+    const type = document.getElementById('recurringType')?.value || 'expense';
+    const select = document.getElementById('recurringCategory');
+    if (!select) return;
+    
+    select.innerHTML = '';
+    getCategoryList(type).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    if (selected && getCategoryList(type).includes(selected)) {
+        select.value = selected;
+    }
+    
+    const label = document.getElementById('recurringCategoryLabel');
+    if (label) label.textContent = type === 'expense' ? 'Kategori:' : 'Källa:';
+}
+
+/**
+ * Visar intervallfältet bara för "Var N:e månad"
+ */
+function updateRecurringIntervalField() {
+    const frequency = document.getElementById('recurringFrequency')?.value;
+    const group = document.getElementById('recurringIntervalGroup');
+    if (group) group.hidden = frequency !== 'months';
+}
+
+/**
+ * Öppnar malldialogen, tom för ny mall eller ifylld för att ändra
+ * @param {string|null} id - Mallens id eller null för ny
+ */
+function openRecurringDialog(id = null) {
+    const dialog = document.getElementById('recurringDialog');
+    if (!dialog) return;
+    
+    const template = id ? state.recurring.find(tpl => tpl.id === id) : null;
+    editingRecurringId = template ? template.id : null;
+    
+    document.getElementById('recurringDialogTitle').textContent = template
+        ? '🔁 Ändra återkommande transaktion'
+        : '🔁 Ny återkommande transaktion';
+    document.getElementById('recurringType').value = template ? template.type : 'expense';
+    document.getElementById('recurringType').disabled = Boolean(template);
+    populateRecurringCategorySelect(template ? template[getNameField(template.type)] : null);
+    document.getElementById('recurringAmount').value = template ? toNumber(template.amount) : '';
+    document.getElementById('recurringDesc').value = template ? template.desc || '' : '';
+    
+    // "Var N:e månad" är en månadsmall med intervall större än 1
+    let frequency = template ? template.frequency : 'monthly';
+    if (frequency === 'monthly' && template && template.interval > 1) frequency = 'months';
+    document.getElementById('recurringFrequency').value = frequency;
+    document.getElementById('recurringInterval').value = template ? Math.max(1, template.interval) : 2;
+    updateRecurringIntervalField();
+    
+    document.getElementById('recurringStart').value = template ? template.startDate : getDateKey(new Date());
+    document.getElementById('recurringEnd').value = template ? template.endDate || '' : '';
+    
+    dialog.hidden = false;
+    document.getElementById('recurringAmount').focus();
+}
+
+/**
+ * Stänger malldialogen
+ */
+function closeRecurringDialog() {
+    const dialog = document.getElementById('recurringDialog');
+    if (dialog) dialog.hidden = true;
+    editingRecurringId = null;
+}
+
+// ===== SPARMÅL =====
+
+// Utgiftskategorin vars utgifter kan kopplas till ett sparmål
+const SAVINGS_CATEGORY = 'Sparande';
+
+/**
+ * Kontrollerar om en kategori bär sparmålen och därför inte får byta namn eller tas bort
+ * @param {string} type - 'expense' eller 'income'
+ * @param {string} name - Kategori
+ * @returns {boolean} True om sparmål eller kopplade utgifter bygger på kategorin
+ */
+function isSavingsCategoryInUse(type, name) {
+    return type === 'expense' && name === SAVINGS_CATEGORY &&
+        (state.goals.length > 0 || state.expenses.some(exp => exp.goalId));
+}
+
+// Visas när någon försöker byta namn på eller ta bort sparkategorin
+const SAVINGS_CATEGORY_LOCKED = `"${SAVINGS_CATEGORY}" används av sparmålen och kan inte byta namn eller tas bort så länge det finns sparmål.`;
+
+/**
+ * Hämtar allt som har sparats till ett mål: kopplade utgifter och egna insättningar
+ * @param {string} goalId - Målets id
+ * @returns {Array<Object>} Poster med { amount, date }
+ */
+function getGoalContributions(goalId) {
+    return [
+        ...state.expenses.filter(exp => exp.goalId === goalId),
+        ...state.goalContributions.filter(entry => entry.goalId === goalId)
+    ];
+}
+
+/**
+ * Räknar ut hur det går för ett sparmål
+ * @param {Object} goal - Sparmål
+ * @param {string} currentMonth - Nuvarande månad (YYYY-MM)
+ * @returns {Object} { saved, remaining, percent, monthsLeft, requiredMonthly, monthlyPace, projectedMonth }
+ */
+function getGoalProgress(goal, currentMonth = getMonthKey(new Date())) {
+    const contributions = getGoalContributions(goal.id);
+    const saved = contributions.reduce((sum, entry) => sum + toNumber(entry.amount), 0);
+    const target = toNumber(goal.target);
+    const remaining = Math.max(0, target - saved);
+    const percent = target > 0 ? Math.min(100, (saved / target) * 100) : 0;
+    
+    // Innevarande månad räknas med, så ett mål i december har en månad kvar i december
+    const monthsLeft = Math.max(0, getMonthDifference(currentMonth, goal.deadline) + 1);
+    const requiredMonthly = monthsLeft > 0 ? remaining / monthsLeft : remaining;
+    
+    // Takten är snittet per månad sedan första insättningen
+    const firstMonth = contributions
+        .map(entry => getMonthKey(entry.date))
+        .filter(Boolean)
+        .sort()[0];
+    const activeMonths = firstMonth ? Math.max(1, getMonthDifference(firstMonth, currentMonth) + 1) : 0;
+    const monthlyPace = activeMonths > 0 ? saved / activeMonths : 0;
+    
+    let projectedMonth = null;
+    if (remaining === 0) {
+        projectedMonth = currentMonth;
+    } else if (monthlyPace > 0) {
+        projectedMonth = shiftMonth(currentMonth, Math.ceil(remaining / monthlyPace));
+    }
+    
+    return { saved, remaining, percent, monthsLeft, requiredMonthly, monthlyPace, projectedMonth };
+}
+
+/**
+ * Beskriver prognosen för ett mål i klartext
+ * @param {Object} goal - Sparmål
+ * @param {Object} progress - Resultat från getGoalProgress
+ * @returns {string} Prognos
+ */
+function describeGoalForecast(goal, progress) {
+    if (progress.remaining === 0) {
+        return 'Målet är nått! 🎉';
+    }
+    if (!progress.projectedMonth) {
+        return 'Ingen prognos ännu - gör en första insättning.';
+    }
+    
+    const onTrack = progress.projectedMonth <= goal.deadline;
+    return `Med nuvarande takt (${formatCurrency(progress.monthlyPace)}/mån) nås målet i ${formatMonthLabel(progress.projectedMonth)}`
+        + (onTrack ? ' ✓' : ' - efter deadline');
+}
+
+/**
+ * Renderar sparmålen med förloppsindikator och prognos
+ */
+function renderGoals() {
+    const container = document.getElementById('goalList');
+    if (!container) return;
+    
+    if (state.goals.length === 0) {
+        container.innerHTML = '<p style="text-align: center; color: var(--muted); padding: 1rem;">Inga sparmål ännu</p>';
+        return;
+    }
+    
+    container.innerHTML = '';
+    
+    state.goals.forEach(goal => {
+        const progress = getGoalProgress(goal);
+        
+        const card = document.createElement('div');
+        card.className = 'goal-card';
+        
+        const header = document.createElement('div');
+        header.className = 'goal-header';
+        
+        const name = document.createElement('strong');
+        name.textContent = goal.name;
+        
+        const deadline = document.createElement('span');
+        deadline.className = 'goal-deadline';
+        deadline.textContent = `Senast ${formatMonthLabel(goal.deadline)}`;
+        
+        header.appendChild(name);
+        header.appendChild(deadline);
+        
+        const bar = document.createElement('div');
+        bar.className = 'goal-progress';
+        bar.setAttribute('role', 'progressbar');
+        bar.setAttribute('aria-valuemin', '0');
+        bar.setAttribute('aria-valuemax', '100');
+        bar.setAttribute('aria-valuenow', String(Math.round(progress.percent)));
+        bar.setAttribute('aria-label', `Framsteg för ${goal.name}`);
+        
+        const fill = document.createElement('div');
+        fill.className = 'goal-progress-fill';
+        fill.style.width = `${progress.percent}%`;
+        bar.appendChild(fill);
+        
+        const amounts = document.createElement('div');
+        amounts.className = 'goal-amounts';
+        amounts.textContent = `${formatCurrency(progress.saved)} av ${formatCurrency(goal.target)} (${Math.round(progress.percent)} %)`;
+        
+        const required = document.createElement('div');
+        required.className = 'goal-detail';
+        if (progress.remaining === 0) {
+            required.textContent = 'Inget kvar att spara.';
+        } else if (progress.monthsLeft > 0) {
+            required.textContent = `Spara ${formatCurrency(progress.requiredMonthly)}/mån i ${progress.monthsLeft} mån för att nå målet i tid.`;
+        } else {
+            required.textContent = `Deadline har passerat - ${formatCurrency(progress.remaining)} återstår.`;
+        }
+        
+        const forecast = document.createElement('div');
+        forecast.className = 'goal-detail';
+        forecast.textContent = describeGoalForecast(goal, progress);
+        
+        const actions = document.createElement('div');
+        actions.className = 'goal-actions';
+        
+        const contributeBtn = document.createElement('button');
+        contributeBtn.className = 'btn btn-primary btn-small';
+        contributeBtn.textContent = 'Sätt in';
+        contributeBtn.addEventListener('click', () => openContributionDialog(goal.id));
+        
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-secondary btn-small';
+        editBtn.textContent = 'Ändra';
+        editBtn.addEventListener('click', () => openGoalDialog(goal.id));
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger';
+        deleteBtn.textContent = 'Ta bort';
+        deleteBtn.addEventListener('click', () => onDeleteGoal(goal.id));
+        
+        actions.appendChild(contributeBtn);
+        actions.appendChild(editBtn);
+        actions.appendChild(deleteBtn);
+        
+        card.appendChild(header);
+        card.appendChild(bar);
+        card.appendChild(amounts);
+        card.appendChild(required);
+        card.appendChild(forecast);
+        card.appendChild(actions);
+        container.appendChild(card);
+    });
+}
+
+/**
+ * Fyller ett val av sparmål
+ * @param {HTMLSelectElement} select - Select-elementet
+ * @param {string} selected - Mål som ska vara valt
+ */
+function populateGoalSelect(select, selected = '') {
+    select.innerHTML = '';
+    
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'Inget sparmål';
+    select.appendChild(none);
+    
+    state.goals.forEach(goal => {
+        const option = document.createElement('option');
+        option.value = goal.id;
+        option.textContent = goal.name;
+        select.appendChild(option);
+    });
+    select.value = state.goals.some(goal => goal.id === selected) ? selected : '';
+}
+
+/**
+ * Visar sparmålsvalet när kategorin är Sparande och det finns mål
+ * (inte när utgiften fördelas på flera kategorier och kategorivalet är dolt)
+ * @param {string} categoryId - Id för kategorivalet
+ * @param {string} groupId - Id för gruppen med målvalet
+ * @param {string} selectId - Id för målvalet
+ * @param {string} selected - Mål som ska vara valt
+ */
+function updateGoalField(categoryId, groupId, selectId, selected) {
+    const categorySelect = document.getElementById(categoryId);
+    const group = document.getElementById(groupId);
+    const select = document.getElementById(selectId);
+    if (!group || !select) return;
+    
+    const allocating = categorySelect?.closest('.form-group')?.hidden;
+    const show = !allocating && categorySelect?.value === SAVINGS_CATEGORY && state.goals.length > 0;
+    group.hidden = !show;
+    populateGoalSelect(select, show ? selected : '');
+}
+
+/**
+ * Uppdaterar sparmålsvalet i utgiftsformuläret
+ */
+function updateExpenseGoalField() {
+    const current = document.getElementById('expenseGoal')?.value;
+    // Förvälj första målet så att insättningar hamnar rätt utan extra klick
+    updateGoalField('expenseCategory', 'expenseGoalGroup', 'expenseGoal', current || state.goals[0]?.id);
+}
+
+/**
+ * Öppnar dialogen för nytt eller ändrat sparmål
+ * @param {string|null} id - Målets id eller null för nytt
+ */
+function openGoalDialog(id = null) {
+    const dialog = document.getElementById('goalDialog');
+    if (!dialog) return;
+    
+    const goal = id ? state.goals.find(g => g.id === id) : null;
+    editingGoalId = goal ? goal.id : null;
+    
+    document.getElementById('goalDialogTitle').textContent = goal ? '🏠 Ändra sparmål' : '🏠 Nytt sparmål';
+    document.getElementById('goalName').value = goal ? goal.name : '';
+    document.getElementById('goalTarget').value = goal ? toNumber(goal.target) : '';
+    document.getElementById('goalDeadline').value = goal ? goal.deadline : '';
+    
+    dialog.hidden = false;
+    document.getElementById('goalName').focus();
+}
+
+/**
+ * Stänger sparmålsdialogen
+ */
+function closeGoalDialog() {
+    const dialog = document.getElementById('goalDialog');
+    if (dialog) dialog.hidden = true;
+    editingGoalId = null;
+}
+
+/**
+ * Öppnar dialogen för en insättning till ett sparmål
+ * @param {string} goalId - Målets id
+ */
+function openContributionDialog(goalId) {
+    const dialog = document.getElementById('contributionDialog');
+    const goal = state.goals.find(g => g.id === goalId);
+    if (!dialog || !goal) return;
+    
+    contributingGoalId = goal.id;
+    document.getElementById('contributionDialogTitle').textContent = `💰 Sätt in till ${goal.name}`;
+    document.getElementById('contributionAmount').value = '';
+    document.getElementById('contributionDesc').value = '';
+    document.getElementById('contributionDate').value = getDateKey(new Date());
+    
+    dialog.hidden = false;
+    document.getElementById('contributionAmount').focus();
+}
+
+/**
+ * Stänger insättningsdialogen
+ */
+function closeContributionDialog() {
+    const dialog = document.getElementById('contributionDialog');
+    if (dialog) dialog.hidden = true;
+    contributingGoalId = null;
+}
+
+// ===== DELADE UTGIFTER =====
+
+/**
+ * Räknar ut hur mycket var och en ska stå för av en delad utgift
+ * @param {Object} expense - Utgift med paidBy och split
+ * @returns {Object} namn -> belopp (tomt om utgiften inte är delad)
+ */
+function getExpenseShares(expense) {
+    const split = expense.split;
+    if (!expense.paidBy || !split || !split.shares) return {};
+    
+    const names = Object.keys(split.shares);
+    const shares = {};
+    names.forEach(name => {
+        if (split.mode === 'percent') {
+            shares[name] = expense.amount * toNumber(split.shares[name]) / 100;
+        } else if (split.mode === 'exact') {
+            shares[name] = toNumber(split.shares[name]);
+        } else {
+            shares[name] = expense.amount / names.length;
+        }
+    });
+    return shares;
+}
+
+/**
+ * Räknar ut vad var och en har till godo (positivt) eller är skyldig (negativt)
+ * utifrån alla delade utgifter och avräkningar
+ * @returns {Object} namn -> saldo, med alla personer i state.people
+ */
+function getBalances() {
+    const balances = {};
+    state.people.forEach(name => {
+        balances[name] = 0;
+    });
+    const add = (name, amount) => {
+        balances[name] = (balances[name] || 0) + amount;
+    };
+    
+    state.expenses.forEach(expense => {
+        const shares = getExpenseShares(expense);
+        if (Object.keys(shares).length === 0) return;
+        
+        add(expense.paidBy, expense.amount);
+        Object.entries(shares).forEach(([name, share]) => add(name, -share));
+    });
+    
+    // En avräkning: "from" betalar "to" och jämnar ut skulden
+    state.settlements.forEach(settlement => {
+        add(settlement.from, settlement.amount);
+        add(settlement.to, -settlement.amount);
+    });
+    
+    Object.keys(balances).forEach(name => {
+        balances[name] = toNumber(balances[name]);
+    });
+    return balances;
+}
+
+/**
+ * Föreslår så få betalningar som möjligt som gör alla kvitt
+ * @param {Object} balances - Saldon från getBalances
+ * @returns {Array<Object>} { from, to, amount }
+ */
+function getSettleTransfers(balances) {
+    const debtors = Object.entries(balances)
+        .filter(([, balance]) => balance < 0)
+        .map(([name, balance]) => ({ name, amount: -balance }))
+        .sort((a, b) => b.amount - a.amount);
+    const creditors = Object.entries(balances)
+        .filter(([, balance]) => balance > 0)
+        .map(([name, balance]) => ({ name, amount: balance }))
+        .sort((a, b) => b.amount - a.amount);
+    
+    const transfers = [];
+    let d = 0;
+    let c = 0;
+    while (d < debtors.length && c < creditors.length) {
+        const amount = toNumber(Math.min(debtors[d].amount, creditors[c].amount));
+        if (amount > 0) {
+            transfers.push({ from: debtors[d].name, to: creditors[c].name, amount });
+        }
+        debtors[d].amount = toNumber(debtors[d].amount - amount);
+        creditors[c].amount = toNumber(creditors[c].amount - amount);
+        if (debtors[d].amount <= 0) d++;
+        if (creditors[c].amount <= 0) c++;
+    }
+    return transfers;
+}
+
+/**
+ * Beskriver vem som betalade en utgift och hur den delas
+ * @param {Object} expense - Utgift
+ * @returns {string} T.ex. "Bashin betalade · delas lika med Jag" eller tom sträng
+ */
+function describeSplit(expense) {
+    const split = expense.split;
+    if (!expense.paidBy || !split || !split.shares) return '';
+    
+    const names = Object.keys(split.shares);
+    let how;
+    if (split.mode === 'percent') {
+        how = names.map(name => `${name} ${toNumber(split.shares[name])} %`).join(', ');
+    } else if (split.mode === 'exact') {
+        how = names.map(name => `${name} ${formatCurrency(split.shares[name])}`).join(', ');
+    } else {
+        how = `delas lika: ${names.join(', ')}`;
+    }
+    return `${expense.paidBy} betalade · ${how}`;
+}
+
+/**
+ * Läser vad som är ifyllt i delningsfälten utan att kontrollera det
+ * @param {HTMLElement} container - Fältens behållare
+ * @returns {Object|null} { paidBy, split: { mode, shares } } eller null om inget är ifyllt
+ */
+function readSplitDraft(container) {
+    const payer = container.querySelector('.split-payer');
+    if (!payer) return null;
+    
+    const mode = container.querySelector('.split-mode').value;
+    const shares = {};
+    container.querySelectorAll('.split-share').forEach(row => {
+        const name = row.dataset.name;
+        if (mode === 'equal') {
+            if (row.querySelector('.split-include').checked) shares[name] = 1;
+        } else {
+            shares[name] = row.querySelector('.split-value').value;
+        }
+    });
+    return { paidBy: payer.value, split: { mode, shares } };
+}
+
+/**
+ * Visar fälten för vem som betalade och hur utgiften delas
+ * @param {string} containerId - Fältens behållare i formuläret eller ändringsdialogen
+ * @param {Object|null} expense - Utgiften som ändras, null för formuläret (behåller det som är ifyllt)
+ */
+function renderSplitFields(containerId, expense = null) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const current = expense || readSplitDraft(container);
+    container.innerHTML = '';
+    
+    // Delning behövs först när minst två personer finns
+    container.hidden = state.people.length < 2;
+    if (container.hidden) return;
+    
+    const payerGroup = document.createElement('div');
+    payerGroup.className = 'form-group';
+    const payerLabel = document.createElement('label');
+    payerLabel.textContent = 'Betalad av:';
+    const payer = document.createElement('select');
+    payer.className = 'split-payer';
+    payer.setAttribute('aria-label', 'Vem som betalade utgiften');
+    [['', 'Delas inte'], ...state.people.map(name => [name, name])].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        payer.appendChild(option);
+    });
+    payer.value = state.people.includes(current?.paidBy) ? current.paidBy : '';
+    payerLabel.appendChild(payer);
+    payerGroup.appendChild(payerLabel);
+    
+    const details = document.createElement('div');
+    details.className = 'split-details';
+    
+    const modeLabel = document.createElement('label');
+    modeLabel.textContent = 'Delas:';
+    const mode = document.createElement('select');
+    mode.className = 'split-mode';
+    mode.setAttribute('aria-label', 'Hur utgiften delas');
+    Object.entries(SPLIT_MODES).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        mode.appendChild(option);
+    });
+    mode.value = SPLIT_MODES[current?.split?.mode] ? current.split.mode : 'equal';
+    modeLabel.appendChild(mode);
+    details.appendChild(modeLabel);
+    
+    const shares = current?.split?.shares || {};
+    state.people.forEach(name => {
+        const row = document.createElement('label');
+        row.className = 'split-share';
+        row.dataset.name = name;
+        
+        const include = document.createElement('input');
+        include.type = 'checkbox';
+        include.className = 'split-include';
+        // Vid lika delning är alla med om inget annat valts
+        include.checked = current?.split?.mode === 'equal' ? name in shares : true;
+        include.setAttribute('aria-label', `${name} är med och delar`);
+        
+        const nameText = document.createElement('span');
+        nameText.textContent = name;
+        
+        const value = document.createElement('input');
+        value.type = 'number';
+        value.className = 'split-value';
+        value.step = '0.01';
+        value.min = '0';
+        value.value = current?.split?.mode !== 'equal' && shares[name] !== undefined ? shares[name] : '';
+        value.setAttribute('aria-label', `Andel för ${name}`);
+        
+        row.appendChild(include);
+        row.appendChild(nameText);
+        row.appendChild(value);
+        details.appendChild(row);
+    });
+    
+    const update = () => {
+        details.hidden = !payer.value;
+        details.querySelectorAll('.split-share').forEach(row => {
+            row.querySelector('.split-include').hidden = mode.value !== 'equal';
+            const value = row.querySelector('.split-value');
+            value.hidden = mode.value === 'equal';
+            value.placeholder = mode.value === 'percent' ? '%' : 'kr';
+        });
+    };
+    payer.addEventListener('change', update);
+    mode.addEventListener('change', update);
+    update();
+    
+    container.appendChild(payerGroup);
+    container.appendChild(details);
+}
+
+/**
+ * Läser och kontrollerar delningsfälten
+ * @param {string} containerId - Fältens behållare
+ * @param {number} amount - Utgiftens belopp
+ * @returns {Object} { paidBy, split } för en delad utgift, {} om den inte delas eller { error }
+ */
+function readSplitFields(containerId, amount) {
+    const container = document.getElementById(containerId);
+    const draft = container && !container.hidden ? readSplitDraft(container) : null;
+    if (!draft || !draft.paidBy) return {};
+    
+    const { mode } = draft.split;
+    const shares = {};
+    Object.entries(draft.split.shares).forEach(([name, value]) => {
+        const num = mode === 'equal' ? 1 : toNumber(value);
+        if (num < 0) return;
+        if (num > 0) shares[name] = num;
+    });
+    
+    if (Object.keys(shares).length === 0) {
+        return { error: 'Välj vilka som delar på utgiften.' };
+    }
+    const total = toNumber(Object.values(shares).reduce((sum, value) => sum + value, 0));
+    if (mode === 'percent' && total !== 100) {
+        return { error: `Procentsatserna måste bli 100 % (nu ${total} %).` };
+    }
+    if (mode === 'exact' && total !== toNumber(amount)) {
+        return { error: `Beloppen måste bli ${formatCurrency(amount)} (nu ${formatCurrency(total)}).` };
+    }
+    
+    return { paidBy: draft.paidBy, split: { mode, shares } };
+}
+
+/**
+ * Renderar personerna, saldona och avräkningarna
+ */
+function renderSharedExpenses() {
+    renderSplitFields('expenseSplitFields');
+    
+    const peopleList = document.getElementById('peopleList');
+    const balanceList = document.getElementById('balanceList');
+    const settlementList = document.getElementById('settlementList');
+    if (!peopleList || !balanceList || !settlementList) return;
+    
+    const balances = getBalances();
+    
+    peopleList.innerHTML = '';
+    state.people.forEach(name => {
+        const item = document.createElement('li');
+        item.className = 'category-item';
+        
+        const nameText = document.createElement('span');
+        nameText.className = 'person-name';
+        nameText.textContent = name;
+        
+        const balance = document.createElement('span');
+        balance.className = `person-balance ${balances[name] > 0 ? 'positive' : balances[name] < 0 ? 'negative' : ''}`;
+        if (balances[name] > 0) {
+            balance.textContent = `får tillbaka ${formatCurrency(balances[name])}`;
+        } else if (balances[name] < 0) {
+            balance.textContent = `är skyldig ${formatCurrency(-balances[name])}`;
+        } else {
+            balance.textContent = 'kvitt';
+        }
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger';
+        deleteBtn.textContent = 'Ta bort';
+        deleteBtn.setAttribute('aria-label', `Ta bort ${name}`);
+        deleteBtn.addEventListener('click', () => onRemovePerson(name));
+        
+        item.appendChild(nameText);
+        item.appendChild(balance);
+        item.appendChild(deleteBtn);
+        peopleList.appendChild(item);
+    });
+    
+    // Vem är skyldig vem
+    balanceList.innerHTML = '';
+    const transfers = getSettleTransfers(balances);
+    if (state.people.length < 2) {
+        balanceList.innerHTML = '<p class="import-hint">Lägg till minst två personer för att dela utgifter.</p>';
+    } else if (transfers.length === 0) {
+        balanceList.innerHTML = '<p class="import-hint">Alla är kvitt. 💛</p>';
+    } else {
+        transfers.forEach(transfer => {
+            const row = document.createElement('div');
+            row.className = 'settle-row';
+            
+            const text = document.createElement('span');
+            text.textContent = `${transfer.from} är skyldig ${transfer.to} ${formatCurrency(transfer.amount)}`;
+            
+            const settleBtn = document.createElement('button');
+            settleBtn.className = 'btn btn-primary btn-small';
+            settleBtn.textContent = 'Gör upp';
+            settleBtn.setAttribute('aria-label', `Registrera att ${transfer.from} betalat ${transfer.to} ${formatCurrency(transfer.amount)}`);
+            settleBtn.addEventListener('click', () => onSettleUp([transfer]));
+            
+            row.appendChild(text);
+            row.appendChild(settleBtn);
+            balanceList.appendChild(row);
+        });
+        
+        if (transfers.length > 1) {
+            const settleAllBtn = document.createElement('button');
+            settleAllBtn.className = 'btn btn-secondary btn-small';
+            settleAllBtn.textContent = 'Gör upp allt';
+            settleAllBtn.addEventListener('click', () => onSettleUp(transfers));
+            balanceList.appendChild(settleAllBtn);
+        }
+    }
+    
+    // Senaste avräkningarna
+    settlementList.innerHTML = '';
+    const recent = [...state.settlements].sort(compareByDateDesc).slice(0, 5);
+    if (recent.length > 0) {
+        const heading = document.createElement('h3');
+        heading.textContent = 'Senaste avräkningar';
+        settlementList.appendChild(heading);
+    }
+    recent.forEach(settlement => {
+        const row = document.createElement('div');
+        row.className = 'settle-row';
+        
+        const text = document.createElement('span');
+        text.textContent = `${new Date(settlement.date).toLocaleDateString('sv-SE')} – ${settlement.from} betalade ${settlement.to} ${formatCurrency(settlement.amount)}`;
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger';
+        deleteBtn.textContent = 'Ta bort';
+        deleteBtn.addEventListener('click', () => onDeleteSettlement(settlement.id));
+        
+        row.appendChild(text);
+        row.appendChild(deleteBtn);
+        settlementList.appendChild(row);
+    });
+}
+
+// ===== VALUTA =====
+
+/**
+ * Avrundar en växelkurs till fyra decimaler
+ * @param {any} value - Kurs att konvertera
+ * @returns {number} Kurs eller 0 om den inte går att tolka
+ */
+function toRate(value) {
+    const num = Number(value);
+    return isNaN(num) ? 0 : Math.round(num * 10000) / 10000;
+}
+
+/**
+ * Formaterar ett belopp i utländsk valuta, t.ex. "45,5 EUR"
+ * @param {number} n - Belopp
+ * @param {string} currency - Valutakod
+ * @returns {string} Formaterat belopp
+ */
+function formatForeignAmount(n, currency) {
+    return toNumber(n).toLocaleString('sv-SE', {
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 2
+    }) + ` ${currency}`;
+}
+
+/**
+ * Beskriver originalbeloppet för en utgift i utländsk valuta
+ * @param {Object} expense - Utgift
+ * @returns {string} T.ex. "50 EUR à 11,45 kr" eller tom sträng för utgifter i kronor
+ */
+function describeOriginalAmount(expense) {
+    if (!expense.currency) return '';
+    const rate = toRate(expense.rate).toLocaleString('sv-SE', { maximumFractionDigits: 4 });
+    return `${formatForeignAmount(expense.originalAmount, expense.currency)} à ${rate} kr`;
+}
+
+/**
+ * Fyller valutaväljarna i utgiftsformuläret och ändringsdialogen
+ */
+function populateCurrencySelects() {
+    ['expenseCurrency', 'editCurrency'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        
+        select.innerHTML = '';
+        CURRENCIES.forEach(currency => {
+            const option = document.createElement('option');
+            option.value = currency;
+            option.textContent = currency;
+            select.appendChild(option);
+        });
+        select.value = BASE_CURRENCY;
+    });
+}
+
+/**
+ * Visar kursfältet när en utländsk valuta är vald och beloppet omräknat till kronor.
+ * Byts valutan fylls senast använda kurs för den i.
+ * @param {string} prefix - 'expense' för formuläret, 'edit' för ändringsdialogen
+ */
+function updateCurrencyFields(prefix) {
+    const currency = document.getElementById(`${prefix}Currency`)?.value || BASE_CURRENCY;
+    const group = document.getElementById(`${prefix}RateGroup`);
+    const rateInput = document.getElementById(`${prefix}Rate`);
+    if (!group || !rateInput) return;
+    
+    group.hidden = currency === BASE_CURRENCY;
+    if (group.hidden) return;
+    
+    if (rateInput.dataset.currency !== currency) {
+        rateInput.value = state.exchangeRates[currency] || '';
+        rateInput.dataset.currency = currency;
+    }
+    
+    const label = document.getElementById(`${prefix}RateLabel`);
+    if (label) label.textContent = `Kurs (kr per 1 ${currency}):`;
+    
+    const converted = document.getElementById(`${prefix}Converted`);
+    if (converted) {
+        const amount = toNumber(document.getElementById(`${prefix}Amount`)?.value);
+        const rate = toRate(rateInput.value);
+        converted.textContent = amount > 0 && rate > 0 ? `= ${formatCurrency(amount * rate)}` : '';
+    }
+}
+
+/**
+ * Läser belopp, valuta och kurs och räknar om beloppet till kronor
+ * @param {string} prefix - 'expense' för formuläret, 'edit' för ändringsdialogen
+ * @returns {Object} { amount } i kronor, med { currency, originalAmount, rate } för utländsk valuta, eller { error }
+ */
+function readCurrencyFields(prefix) {
+    const originalAmount = toNumber(document.getElementById(`${prefix}Amount`)?.value);
+    if (originalAmount <= 0) {
+        return { error: 'Ange ett giltigt belopp (större än 0).' };
+    }
+    
+    const currency = document.getElementById(`${prefix}Currency`)?.value || BASE_CURRENCY;
+    if (currency === BASE_CURRENCY) {
+        return { amount: originalAmount };
+    }
+    
+    const rate = toRate(document.getElementById(`${prefix}Rate`)?.value);
+    if (rate <= 0) {
+        return { error: `Ange växelkursen (kr per 1 ${currency}).` };
+    }
+    
+    return { amount: toNumber(originalAmount * rate), currency, originalAmount, rate };
+}
+
+// ===== KVITTON =====
+
+/**
+ * Samlar id för alla kvitton som utgifterna pekar på
+ * @param {Array<Object>} expenses - Utgifter
+ * @returns {Set<string>} Kvittonas id
+ */
+function getReceiptIds(expenses) {
+    return new Set(expenses.flatMap(exp => exp.receipts || []));
+}
+
+/**
+ * Förminskar en bild så att den tar lite plats och gör om den till JPEG
+ * @param {File} file - Foto från kameran eller filväljaren
+ * @returns {Promise<string>} Bilden som data-URL
+ */
+function downscaleImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            const scale = Math.min(1, RECEIPT_MAX_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.naturalWidth * scale);
+            canvas.height = Math.round(image.naturalHeight * scale);
+            
+            // Vit bakgrund så att genomskinliga bilder inte blir svarta som JPEG
+            const context = canvas.getContext('2d');
+            context.fillStyle = '#fff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            resolve(canvas.toDataURL('image/jpeg', RECEIPT_QUALITY));
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`${file.name} går inte att läsa som bild.`));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Kontrollerar att en sträng är en bild som data-URL (t.ex. från en importerad fil)
+ * @param {*} value - Värde att kontrollera
+ * @returns {boolean} true om värdet är en bild
+ */
+function isReceiptImage(value) {
+    return typeof value === 'string' && /^data:image\/(jpeg|png|webp);base64,/.test(value);
+}
+
+/**
+ * Sparar kvittobilder, krypterade om applåset är på
+ * @param {Object} images - id -> bild som data-URL
+ */
+async function saveReceiptImages(images) {
+    const sealed = {};
+    for (const [id, image] of Object.entries(images)) {
+        sealed[id] = appLock ? await encryptText(image, appLock) : image;
+    }
+    const backend = await getStorageBackend();
+    await backend.saveReceipts(sealed);
+}
+
+/**
+ * Sparar nya kvittobilder
+ * @param {Array<string>} images - Bilder som data-URL
+ * @returns {Promise<Array<string>>} De nya kvittonas id
+ */
+async function storeReceipts(images) {
+    if (images.length === 0) return [];
+    
+    const entries = images.map(image => [generateId(), image]);
+    // Utgiften läggs i state först efteråt - tills dess får städningen inte ta bort kvittona
+    entries.forEach(([id]) => unattachedReceiptIds.add(id));
+    await saveReceiptImages(Object.fromEntries(entries));
+    return entries.map(([id]) => id);
+}
+
+/**
+ * Släpper kvitton som sparats innan deras utgift fanns i state. Används de inte
+ * (t.ex. för att utgiften aldrig sparades) tas de bort vid nästa sparning.
+ * @param {Array<string>} ids - Kvittonas id
+ */
+function releaseUnattachedReceipts(ids) {
+    if (ids.length === 0) return;
+    ids.forEach(id => unattachedReceiptIds.delete(id));
+    receiptCleanupNeeded = true;
+}
+
+/**
+ * Läser en kvittobild
+ * @param {string} id - Kvittots id
+ * @returns {Promise<string|null>} Bilden som data-URL, null om den saknas eller är låst med en annan lösenfras
+ */
+async function loadReceiptImage(id) {
+    const backend = await getStorageBackend();
+    const data = await backend.loadReceipt(id);
+    if (!isLockedData(data)) return data;
+    if (!appLock || data.locked.salt !== appLock.salt) return null;
+    return decryptText(data, appLock);
+}
+
+/**
+ * Läser kvitton som de är sparade (krypterade eller inte), för att kopiera dem till en annan profil
+ * @param {Array<string>} ids - Kvittonas id
+ * @returns {Promise<Object>} id -> data
+ */
+async function readStoredReceipts(ids) {
+    const backend = await getStorageBackend();
+    const receipts = {};
+    for (const id of ids) {
+        const data = await backend.loadReceipt(id);
+        if (data !== null) receipts[id] = data;
+    }
+    return receipts;
+}
+
+/**
+ * Läser alla kvittobilder som utgifterna pekar på, för exporten
+ * @returns {Promise<Object>} id -> bild som data-URL
+ */
+async function collectReceiptImages() {
+    const images = {};
+    for (const id of getReceiptIds(state.expenses)) {
+        const image = await loadReceiptImage(id);
+        if (image) images[id] = image;
+    }
+    return images;
+}
+
+/**
+ * Läser säkerhetskopiornas data som text, krypterade kopior med applåsets nyckel
+ * @param {StorageBackend} backend - Lagringen
+ * @returns {Promise<Array<string>|null>} Texterna, eller null om någon kopia inte går att läsa
+ */
+async function readBackupTexts(backend) {
+    const texts = [];
+    for (const backup of await backend.loadBackups()) {
+        let parsed;
+        try {
+            parsed = JSON.parse(backup.data);
+        } catch (error) {
+            // Trasiga kopior kan inte återställas och behöver inga kvitton
+            continue;
+        }
+        if (!isLockedData(parsed)) {
+            texts.push(backup.data);
+        } else if (appLock && parsed.locked.salt === appLock.salt) {
+            texts.push(await decryptText(parsed, appLock));
+        } else {
+            return null;
+        }
+    }
+    return texts;
+}
+
+/**
+ * Tar bort sparade kvitton som ingen utgift pekar på längre. Kvitton till borttagna
+ * utgifter ligger kvar så länge ett ångra-steg eller en säkerhetskopia kan ta tillbaka utgiften.
+ * Körs bara när en hänvisning kan ha försvunnit (receiptCleanupNeeded), eftersom alla
+ * säkerhetskopior måste läsas.
+ * @param {StorageBackend} backend - Lagringen
+ */
+async function collectReceiptGarbage(backend) {
+    const stored = await backend.listReceipts();
+    if (stored.length === 0) return;
+    
+    // Går en säkerhetskopia inte att läsa (annan lösenfras) tas inget bort
+    const backupTexts = await readBackupTexts(backend).catch(() => null);
+    if (!backupTexts) return;
+    
+    const used = getReceiptIds(state.expenses);
+    const snapshots = [...undoStack, ...redoStack].map(entry => entry.snapshot).concat(backupTexts);
+    const unused = stored.filter(id => !used.has(id) && !unattachedReceiptIds.has(id) &&
+        !snapshots.some(snapshot => snapshot.includes(`"${id}"`)));
+    if (unused.length > 0) {
+        await backend.deleteReceipts(unused);
+        console.log(`${unused.length} kvitton städades bort`);
+    }
+}
+
+/**
+ * Krypterar om kvittona efter att applåset ändrats
+ * @param {Object|null} previousLock - Applåset innan ändringen
+ */
+async function resealReceipts(previousLock) {
+    const backend = await getStorageBackend();
+    const images = {};
+    for (const id of await backend.listReceipts()) {
+        const data = await backend.loadReceipt(id);
+        if (!isLockedData(data)) {
+            images[id] = data;
+        } else if (previousLock && data.locked.salt === previousLock.salt) {
+            images[id] = await decryptText(data, previousLock);
+        }
+        // Kvitton krypterade med en annan lösenfras lämnas som de är
+    }
+    await saveReceiptImages(images);
+}
+
+/**
+ * Lägger till valda foton bland kvittona som väntar på att sparas med utgiften
+ * @param {string} prefix - 'expense' för formuläret, 'edit' för ändringsdialogen
+ * @param {FileList} files - Valda filer
+ */
+async function addReceiptFiles(prefix, files) {
+    for (const file of files) {
+        try {
+            receiptDrafts[prefix].push({ image: await downscaleImage(file) });
+        } catch (error) {
+            console.error('Fel vid läsning av kvitto:', error);
+            showMessage(error.message, 'error');
+        }
+    }
+    renderReceiptDrafts(prefix);
+}
+
+/**
+ * Visar miniatyrer av kvittona i formuläret eller ändringsdialogen
+ * @param {string} prefix - 'expense' för formuläret, 'edit' för ändringsdialogen
+ */
+function renderReceiptDrafts(prefix) {
+    const list = document.getElementById(`${prefix}ReceiptList`);
+    if (!list) return;
+    
+    list.innerHTML = '';
+    receiptDrafts[prefix].forEach((draft, index) => {
+        const item = document.createElement('div');
+        item.className = 'receipt-thumb';
+        
+        const image = document.createElement('img');
+        image.alt = `Kvitto ${index + 1}`;
+        if (draft.image) {
+            image.src = draft.image;
+        } else {
+            loadReceiptImage(draft.id)
+                .then(src => {
+                    if (src) image.src = src;
+                    else image.alt = 'Kvittot saknas';
+                })
+                .catch(() => {
+                    image.alt = 'Kvittot saknas';
+                });
+        }
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'receipt-remove';
+        removeBtn.textContent = '✕';
+        removeBtn.setAttribute('aria-label', `Ta bort kvitto ${index + 1}`);
+        removeBtn.addEventListener('click', () => {
+            receiptDrafts[prefix].splice(index, 1);
+            renderReceiptDrafts(prefix);
+        });
+        
+        item.appendChild(image);
+        item.appendChild(removeBtn);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Sparar nya kvitton i formuläret eller ändringsdialogen
+ * @param {string} prefix - 'expense' för formuläret, 'edit' för ändringsdialogen
+ * @returns {Promise<Array<string>|null>} Alla kvittons id i ordning, null om de inte kunde sparas
+ */
+async function saveReceiptDrafts(prefix) {
+    const drafts = receiptDrafts[prefix];
+    try {
+        const newIds = await storeReceipts(drafts.filter(draft => draft.image).map(draft => draft.image));
+        return drafts.map(draft => draft.id || newIds.shift());
+    } catch (error) {
+        console.error('Fel vid sparande av kvitto:', error);
+        showMessage('Kvittot kunde inte sparas. Kontrollera att webbläsaren har tillräckligt med utrymme.', 'error');
+        return null;
+    }
+}
+
+/**
+ * Visar en utgifts kvitton i kvittodialogen
+ * @param {string} expenseId - Utgiftens id
+ */
+async function openReceiptViewer(expenseId) {
+    const expense = findTransaction('expense', expenseId);
+    const dialog = document.getElementById('receiptDialog');
+    const viewer = document.getElementById('receiptViewer');
+    if (!expense || !dialog || !viewer) return;
+    
+    const title = document.getElementById('receiptDialogTitle');
+    if (title) {
+        title.textContent = `🧾 ${expense.category} – ${formatCurrency(expense.amount)}`;
+    }
+    
+    viewer.innerHTML = '';
+    viewer.dataset.expenseId = expenseId;
+    dialog.hidden = false;
+    document.getElementById('receiptCloseBtn')?.focus();
+    
+    for (const id of expense.receipts || []) {
+        let src = null;
+        try {
+            src = await loadReceiptImage(id);
+        } catch (error) {
+            console.error('Fel vid läsning av kvitto:', error);
+        }
+        
+        // Dialogen kan ha bytt till en annan utgift medan bilden lästes
+        if (viewer.dataset.expenseId !== String(expenseId)) return;
+        
+        if (src) {
+            const image = document.createElement('img');
+            image.src = src;
+            image.alt = `Kvitto för ${expense.desc || expense.category}`;
+            viewer.appendChild(image);
+        } else {
+            const missing = document.createElement('p');
+            missing.className = 'import-hint';
+            missing.textContent = 'Kvittot finns inte längre.';
+            viewer.appendChild(missing);
+        }
+    }
+}
+
+/**
+ * Stänger kvittodialogen
+ */
+function closeReceiptViewer() {
+    const dialog = document.getElementById('receiptDialog');
+    if (dialog) dialog.hidden = true;
+}
+
+// ===== FÖRDELNING & TAGGAR =====
+
+/**
+ * Hur en utgift fördelas på kategorier. Alla summeringar per kategori går via den här,
+ * så att en utgift som delats på flera kategorier räknas i var och en med sin del.
+ * @param {Object} expense - Utgift
+ * @returns {Array<Object>} { category, amount } - en rad för en vanlig utgift
+ */
+function getExpenseAllocations(expense) {
+    if (Array.isArray(expense.allocations) && expense.allocations.length > 0) {
+        return expense.allocations;
+    }
+    return [{ category: expense.category, amount: toNumber(expense.amount) }];
+}
+
+/**
+ * Hur mycket av en utgift som hör till en kategori
+ * @param {Object} expense - Utgift
+ * @param {string} category - Kategori
+ * @returns {number} Belopp (0 om utgiften inte har något i kategorin)
+ */
+function getAllocatedAmount(expense, category) {
+    return getExpenseAllocations(expense)
+        .filter(allocation => allocation.category === category)
+        .reduce((sum, allocation) => sum + toNumber(allocation.amount), 0);
+}
+
+/**
+ * Kontrollerar om en utgift har något i en kategori
+ * @param {Object} expense - Utgift
+ * @param {string} category - Kategori
+ * @returns {boolean} true om kategorin finns bland utgiftens delar
+ */
+function hasExpenseCategory(expense, category) {
+    return getExpenseAllocations(expense).some(allocation => allocation.category === category);
+}
+
+/**
+ * Flyttar en utgifts del i en kategori till en annan (vid namnbyte eller borttagen kategori).
+ * Delar som hamnar i samma kategori slås ihop.
+ * @param {Object} expense - Utgift (ändras)
+ * @param {string} from - Kategori som försvinner
+ * @param {string} to - Kategori som tar över
+ */
+function moveExpenseCategory(expense, from, to) {
+    if (expense.category === from) expense.category = to;
+    if (!Array.isArray(expense.allocations)) return;
+    
+    const merged = [];
+    expense.allocations.forEach(allocation => {
+        const category = allocation.category === from ? to : allocation.category;
+        const existing = merged.find(row => row.category === category);
+        if (existing) {
+            existing.amount = toNumber(existing.amount + allocation.amount);
+        } else {
+            merged.push({ category, amount: allocation.amount });
+        }
+    });
+    
+    if (merged.length > 1) {
+        expense.allocations = merged;
+    } else {
+        delete expense.allocations;
+    }
+}
+
+/**
+ * Beskriver hur en utgift är fördelad
+ * @param {Object} expense - Utgift
+ * @returns {string} T.ex. "Mat 300 kr · Egenvård 120 kr", tom sträng för en vanlig utgift
+ */
+function describeAllocations(expense) {
+    if (!Array.isArray(expense.allocations) || expense.allocations.length === 0) return '';
+    return expense.allocations.map(row => `${row.category} ${formatCurrency(row.amount)}`).join(' · ');
+}
+
+/**
+ * Läser taggar ur fritext, t.ex. "#semester2026 rom" -> ['semester2026', 'rom']
+ * @param {string} text - Taggar skilda med mellanslag eller komma, med eller utan #
+ * @returns {Array<string>} Unika taggar med små bokstäver
+ */
+function parseTags(text) {
+    const tags = (text || '').toLowerCase().match(TAG_PATTERN) || [];
+    return [...new Set(tags)];
+}
+
+/**
+ * Formaterar taggar för visning
+ * @param {Array<string>} tags - Taggar
+ * @returns {string} T.ex. "#semester2026 #rom"
+ */
+function formatTags(tags) {
+    return (tags || []).map(tag => `#${tag}`).join(' ');
+}
+
+/**
+ * Summerar utgifterna per tagg, med fördelning på kategorier
+ * @returns {Array<Object>} { tag, total, count, categories: [{ category, amount }] } sorterat störst först
+ */
+function getTagSummary() {
+    const summary = new Map();
+    state.expenses.forEach(expense => {
+        (expense.tags || []).forEach(tag => {
+            if (!summary.has(tag)) summary.set(tag, { tag, total: 0, count: 0, categories: {} });
+            const entry = summary.get(tag);
+            entry.total += toNumber(expense.amount);
+            entry.count++;
+            getExpenseAllocations(expense).forEach(({ category, amount }) => {
+                entry.categories[category] = (entry.categories[category] || 0) + toNumber(amount);
+            });
+        });
+    });
+    
+    return [...summary.values()]
+        .map(entry => ({
+            ...entry,
+            total: toNumber(entry.total),
+            categories: Object.entries(entry.categories)
+                .map(([category, amount]) => ({ category, amount: toNumber(amount) }))
+                .sort((a, b) => b.amount - a.amount)
+        }))
+        .sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Visar raderna för fördelning på flera kategorier i formuläret eller ändringsdialogen.
+ * Utan rader visas bara knappen för att börja fördela, och kategorivalet som vanligt.
+ * @param {string} prefix - 'expense' för formuläret, 'edit' för ändringsdialogen
+ */
+function renderAllocationFields(prefix) {
+    const container = document.getElementById(`${prefix}Allocations`);
+    if (!container) return;
+    
+    const drafts = allocationDrafts[prefix];
+    const categoryGroup = document.getElementById(`${prefix}CategoryGroup`);
+    if (categoryGroup) categoryGroup.hidden = drafts.length > 0;
+    container.innerHTML = '';
+    
+    if (drafts.length === 0) {
+        const startBtn = document.createElement('button');
+        startBtn.type = 'button';
+        startBtn.className = 'btn btn-secondary btn-small';
+        startBtn.textContent = 'Fördela på flera kategorier';
+        startBtn.addEventListener('click', () => {
+            // Första raden tar över vald kategori och resten av beloppet
+            const category = document.getElementById(`${prefix}Category`)?.value || state.expenseCategories[0];
+            const other = state.expenseCategories.find(name => name !== category) || category;
+            allocationDrafts[prefix] = [{ category, amount: '' }, { category: other, amount: '' }];
+            renderAllocationFields(prefix);
+            updateAllocationGoalField(prefix);
+        });
+        container.appendChild(startBtn);
+        return;
+    }
+    
+    const label = document.createElement('span');
+    label.className = 'form-label';
+    label.textContent = 'Fördelning (kr):';
+    container.appendChild(label);
+    
+    const remaining = document.createElement('p');
+    remaining.className = 'allocation-remaining';
+    const updateRemaining = () => {
+        const money = readCurrencyFields(prefix);
+        const filled = drafts.filter(row => row.amount !== '');
+        const used = filled.reduce((sum, row) => sum + toNumber(row.amount), 0);
+        const left = money.amount ? toNumber(money.amount - used) : null;
+        if (left === null) {
+            remaining.textContent = 'Ange beloppet först.';
+        } else if (filled.length === drafts.length - 1 && left > 0) {
+            remaining.textContent = `Tom rad får resten: ${formatCurrency(left)}`;
+        } else {
+            remaining.textContent = `Kvar att fördela: ${formatCurrency(left)}`;
+        }
+        remaining.classList.toggle('negative', left !== null && left < 0);
+    };
+    
+    drafts.forEach((row, index) => {
+        const rowEl = document.createElement('div');
+        rowEl.className = 'allocation-row';
+        
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', `Kategori för del ${index + 1}`);
+        state.expenseCategories.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = row.category;
+        select.addEventListener('change', () => { row.category = select.value; });
+        
+        const amount = document.createElement('input');
+        amount.type = 'number';
+        amount.step = '0.01';
+        amount.min = '0';
+        amount.placeholder = 'Resten';
+        amount.value = row.amount;
+        amount.setAttribute('aria-label', `Belopp i kronor för del ${index + 1}`);
+        amount.addEventListener('input', () => {
+            row.amount = amount.value;
+            updateRemaining();
+        });
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn btn-danger';
+        removeBtn.textContent = '✕';
+        removeBtn.setAttribute('aria-label', `Ta bort del ${index + 1}`);
+        removeBtn.addEventListener('click', () => {
+            drafts.splice(index, 1);
+            // En rad kvar = ingen fördelning, kategorin väljs som vanligt igen
+            if (drafts.length === 1) {
+                const select = document.getElementById(`${prefix}Category`);
+                if (select) select.value = drafts[0].category;
+                allocationDrafts[prefix] = [];
+            }
+            renderAllocationFields(prefix);
+            updateAllocationGoalField(prefix);
+        });
+        
+        rowEl.appendChild(select);
+        rowEl.appendChild(amount);
+        rowEl.appendChild(removeBtn);
+        container.appendChild(rowEl);
+    });
+    
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'btn btn-secondary btn-small';
+    addBtn.textContent = 'Lägg till kategori';
+    addBtn.addEventListener('click', () => {
+        const used = drafts.map(row => row.category);
+        drafts.push({ category: state.expenseCategories.find(name => !used.includes(name)) || state.expenseCategories[0], amount: '' });
+        renderAllocationFields(prefix);
+    });
+    container.appendChild(addBtn);
+    container.appendChild(remaining);
+    updateRemaining();
+}
+
+/**
+ * Uppdaterar sparmålsvalet när fördelningen startas eller avslutas
+ * @param {string} prefix - 'expense' för formuläret, 'edit' för ändringsdialogen
+ */
+function updateAllocationGoalField(prefix) {
+    if (prefix === 'expense') {
+        updateExpenseGoalField();
+    } else {
+        updateEditGoalField(findTransaction(editingTransaction?.type, editingTransaction?.id)?.goalId);
+    }
+}
+
+/**
+ * Läser och kontrollerar fördelningen på flera kategorier
+ * @param {string} prefix - 'expense' för formuläret, 'edit' för ändringsdialogen
+ * @param {number} total - Utgiftens belopp i kronor
+ * @returns {Object} { allocations } vid fördelning, {} för en vanlig utgift eller { error }
+ */
+function readAllocationFields(prefix, total) {
+    const drafts = allocationDrafts[prefix];
+    if (drafts.length === 0) return {};
+    
+    const categories = drafts.map(row => row.category);
+    if (new Set(categories).size !== categories.length) {
+        return { error: 'Varje kategori kan bara finnas en gång i fördelningen.' };
+    }
+    
+    // En tom rad får det som är kvar
+    const empty = drafts.filter(row => row.amount === '');
+    if (empty.length > 1) {
+        return { error: 'Ange belopp för alla kategorier utom en.' };
+    }
+    const used = drafts.reduce((sum, row) => sum + toNumber(row.amount), 0);
+    const allocations = drafts.map(row => ({
+        category: row.category,
+        amount: row.amount === '' ? toNumber(total - used) : toNumber(row.amount)
+    }));
+    
+    if (allocations.some(row => row.amount <= 0)) {
+        return { error: 'Varje del måste vara större än 0 kr.' };
+    }
+    const sum = toNumber(allocations.reduce((acc, row) => acc + row.amount, 0));
+    if (sum !== toNumber(total)) {
+        return { error: `Delarna måste bli ${formatCurrency(total)} (nu ${formatCurrency(sum)}).` };
+    }
+    
+    return { allocations };
+}
+
+/**
+ * Renderar taggarna med summa och fördelning per kategori i analysdelen
+ */
+function renderTagSummary() {
+    const container = document.getElementById('tagSummary');
+    if (!container) return;
+    
+    const summary = getTagSummary();
+    container.innerHTML = '';
+    
+    if (summary.length === 0) {
+        container.innerHTML = '<p class="import-hint">Inga taggar än. Skriv t.ex. #semester2026 under Taggar när du lägger till en utgift.</p>';
+        return;
+    }
+    
+    summary.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'tag-row';
+        
+        const tagBtn = document.createElement('button');
+        tagBtn.type = 'button';
+        tagBtn.className = 'tag-chip';
+        tagBtn.textContent = `#${entry.tag}`;
+        tagBtn.setAttribute('aria-label', `Visa utgifter med #${entry.tag} i historiken`);
+        tagBtn.addEventListener('click', () => onShowTagInHistory(entry.tag));
+        
+        const total = document.createElement('span');
+        total.className = 'tag-total';
+        total.textContent = `${formatCurrency(entry.total)} (${entry.count} st)`;
+        
+        const categories = document.createElement('div');
+        categories.className = 'tag-categories';
+        categories.textContent = entry.categories.map(row => `${row.category} ${formatCurrency(row.amount)}`).join(' · ');
+        
+        row.appendChild(tagBtn);
+        row.appendChild(total);
+        row.appendChild(categories);
+        container.appendChild(row);
+    });
+}
+
+// ===== RAPPORTER =====
+
+/**
+ * Månaderna som en rapportperiod omfattar
+ * @param {Object} period - { type: 'month'|'year', key: 'YYYY-MM'|'YYYY', monthCount?: antal månader från januari }
+ * @returns {Array<string>} Månadsnycklar, äldst först
+ */
+function getReportMonths(period) {
+    if (period.type !== 'year') return [period.key];
+    
+    const count = period.monthCount || 12;
+    return getMonthRange(`${period.key}-${String(count).padStart(2, '0')}`, count);
+}
+
+/**
+ * Perioden före, som rapporten jämförs med. Ett pågående år jämförs med
+ * samma månader året innan, inte med hela året.
+ * @param {Object} period - { type, key }
+ * @returns {Object} Föregående månad eller år
+ */
+function getPreviousReportPeriod(period) {
+    if (period.type !== 'year') return { type: 'month', key: shiftMonth(period.key, -1) };
+    
+    const currentMonth = getMonthKey(new Date());
+    const started = getReportMonths(period).filter(month => month <= currentMonth).length;
+    return {
+        type: 'year',
+        key: String(Number(period.key) - 1),
+        monthCount: started > 0 && started < 12 ? started : 12
+    };
+}
+
+/**
+ * Formaterar en rapportperiod, t.ex. "oktober 2026", "år 2026" eller "januari–oktober 2025"
+ * @param {Object} period - { type, key, monthCount? }
+ * @returns {string} Läsbar period
+ */
+function formatReportPeriod(period) {
+    if (period.type !== 'year') return formatMonthLabel(period.key);
+    if (!period.monthCount || period.monthCount === 12) return `år ${period.key}`;
+    
+    const lastMonth = new Date(Number(period.key), period.monthCount - 1, 1).toLocaleDateString('sv-SE', { month: 'long' });
+    return period.monthCount === 1 ? `januari ${period.key}` : `januari–${lastMonth} ${period.key}`;
+}
+
+/**
+ * Räknar fram siffrorna för en rapportperiod.
+ * Budgeten räknas bara för månader som har börjat, så att ett pågående år inte
+ * jämförs mot budget för månader utan utgifter än. Överföringar (rollover) ingår inte.
+ * @param {Object} period - { type, key }
+ * @returns {Object} { months, income, expenses, saved, savingsRate, incomeBySource, categories, biggest }
+ */
+function summarizeReportPeriod(period) {
+    const months = getReportMonths(period);
+    const currentMonth = getMonthKey(new Date());
+    const startedMonths = months.filter(month => month <= currentMonth);
+    const budgetMonths = startedMonths.length > 0 ? startedMonths : months;
+    
+    const expenses = state.expenses.filter(exp => months.includes(getMonthKey(exp.date)));
+    const incomes = state.incomes.filter(inc => months.includes(getMonthKey(inc.date)));
+    
+    const incomeBySource = {};
+    incomes.forEach(inc => {
+        incomeBySource[inc.source] = (incomeBySource[inc.source] || 0) + toNumber(inc.amount);
+    });
+    
+    const spentByCategory = Object.fromEntries(getCategoryTotals(months).map(row => [row.category, row.amount]));
+    const categories = state.expenseCategories.map(category => ({
+        category,
+        budget: toNumber(budgetMonths.reduce((sum, month) => sum + getBudget(category, month), 0)),
+        spent: toNumber(spentByCategory[category] || 0)
+    }));
+    
+    const income = toNumber(incomes.reduce((sum, inc) => sum + toNumber(inc.amount), 0));
+    const total = toNumber(expenses.reduce((sum, exp) => sum + toNumber(exp.amount), 0));
+    // Det som läggs på Sparande är inte förbrukat - sparat = överskott + Sparande
+    const savings = expenses.reduce((sum, exp) => sum + getAllocatedAmount(exp, SAVINGS_CATEGORY), 0);
+    const saved = toNumber(income - total + savings);
+    
+    return {
+        months,
+        income,
+        expenses: total,
+        saved,
+        savingsRate: income > 0 ? (saved / income) * 100 : null,
+        incomeBySource: Object.entries(incomeBySource)
+            .map(([source, amount]) => ({ source, amount: toNumber(amount) }))
+            .sort((a, b) => b.amount - a.amount),
+        categories,
+        biggest: [...expenses].sort((a, b) => toNumber(b.amount) - toNumber(a.amount)).slice(0, REPORT_TOP_EXPENSES)
+    };
+}
+
+/**
+ * Formaterar en sparkvot
+ * @param {number|null} rate - Procent eller null utan inkomster
+ * @returns {string} T.ex. "23 %" eller "–"
+ */
+function formatSavingsRate(rate) {
+    return rate === null ? '–' : `${Math.round(rate)} %`;
+}
+
+/**
+ * Skapar en tabell för rapporten
+ * @param {Array<string>} headers - Kolumnrubriker
+ * @param {Array<Array<string>>} rows - Rader med färdig text
+ * @param {number} firstNumberColumn - Kolumner från och med detta index högerställs
+ * @returns {HTMLElement} Tabellen
+ */
+function createReportTable(headers, rows, firstNumberColumn) {
+    const table = document.createElement('table');
+    table.className = 'report-table';
+    
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    headers.forEach((text, index) => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        if (index >= firstNumberColumn) th.className = 'report-number';
+        headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    rows.forEach(cells => {
+        const row = document.createElement('tr');
+        cells.forEach((text, index) => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            if (index >= firstNumberColumn) td.className = 'report-number';
+            row.appendChild(td);
+        });
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    
+    return table;
+}
+
+/**
+ * Skapar en rubricerad del av rapporten
+ * @param {string} title - Rubrik
+ * @param {HTMLElement} content - Tabell eller text
+ * @returns {HTMLElement} Delen
+ */
+function createReportSection(title, content) {
+    const section = document.createElement('section');
+    section.className = 'report-section';
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    section.appendChild(heading);
+    section.appendChild(content);
+    return section;
+}
+
+/**
+ * Skapar en rad med text när en del av rapporten saknar data
+ * @param {string} text - Text
+ * @returns {HTMLElement} Stycket
+ */
+function createReportNote(text) {
+    const note = document.createElement('p');
+    note.className = 'report-note';
+    note.textContent = text;
+    return note;
+}
+
+/**
+ * Renderar rapporten för vald period i rapportdialogen (samma innehåll skrivs ut)
+ */
+function renderReport() {
+    const container = document.getElementById('reportContent');
+    if (!container) return;
+    
+    const period = readReportPeriod();
+    const previous = getPreviousReportPeriod(period);
+    const current = summarizeReportPeriod(period);
+    const before = summarizeReportPeriod(previous);
+    const previousLabel = formatReportPeriod(previous);
+    const change = (now, then) => formatSignedCurrency(toNumber(now - then), true);
+    
+    container.innerHTML = '';
+    
+    const title = document.createElement('h2');
+    title.textContent = `Bashins Budget – ${formatReportPeriod(period)}`;
+    const meta = document.createElement('p');
+    meta.className = 'report-note';
+    meta.textContent = `Profil: ${getActiveProfile().name} · Skapad ${new Date().toLocaleDateString('sv-SE')} · Jämförs med ${previousLabel}`;
+    container.appendChild(title);
+    container.appendChild(meta);
+    
+    // Översikt med jämförelse
+    container.appendChild(createReportSection('Översikt', createReportTable(
+        ['', formatReportPeriod(period), previousLabel, 'Förändring'],
+        [
+            ['Inkomster', formatCurrency(current.income), formatCurrency(before.income), change(current.income, before.income)],
+            ['Utgifter', formatCurrency(current.expenses), formatCurrency(before.expenses), change(current.expenses, before.expenses)],
+            ['Sparat (överskott + Sparande)', formatSignedCurrency(current.saved), formatSignedCurrency(before.saved), change(current.saved, before.saved)],
+            [
+                'Sparkvot',
+                formatSavingsRate(current.savingsRate),
+                formatSavingsRate(before.savingsRate),
+                current.savingsRate === null || before.savingsRate === null
+                    ? '–'
+                    : `${current.savingsRate >= before.savingsRate ? '+' : ''}${Math.round(current.savingsRate - before.savingsRate)} procentenheter`
+            ]
+        ],
+        1
+    )));
+    
+    // Inkomster per källa
+    const previousIncome = Object.fromEntries(before.incomeBySource.map(row => [row.source, row.amount]));
+    container.appendChild(createReportSection('Inkomster per källa', current.incomeBySource.length === 0
+        ? createReportNote('Inga inkomster under perioden.')
+        : createReportTable(
+            ['Källa', 'Belopp', 'Andel', previousLabel],
+            current.incomeBySource.map(row => [
+                row.source,
+                formatCurrency(row.amount),
+                `${Math.round((row.amount / current.income) * 100)} %`,
+                formatCurrency(previousIncome[row.source] || 0)
+            ]),
+            1
+        )));
+    
+    // Utgifter per kategori mot budget
+    const previousSpent = Object.fromEntries(before.categories.map(row => [row.category, row.spent]));
+    const categoryRows = current.categories.filter(row => row.budget > 0 || row.spent > 0 || previousSpent[row.category] > 0);
+    container.appendChild(createReportSection('Utgifter per kategori', categoryRows.length === 0
+        ? createReportNote('Ingen budget eller inga utgifter under perioden.')
+        : createReportTable(
+            ['Kategori', 'Budget', 'Utfall', 'Kvar', previousLabel, 'Förändring'],
+            categoryRows.map(row => [
+                row.category,
+                formatCurrency(row.budget),
+                formatCurrency(row.spent),
+                formatSignedCurrency(toNumber(row.budget - row.spent)),
+                formatCurrency(previousSpent[row.category] || 0),
+                change(row.spent, previousSpent[row.category] || 0)
+            ]),
+            1
+        )));
+    
+    // Största utgifterna
+    container.appendChild(createReportSection('Största utgifterna', current.biggest.length === 0
+        ? createReportNote('Inga utgifter under perioden.')
+        : createReportTable(
+            ['Datum', 'Kategori', 'Beskrivning', 'Belopp'],
+            current.biggest.map(exp => [
+                new Date(exp.date).toLocaleDateString('sv-SE'),
+                getExpenseAllocations(exp).map(row => row.category).join(' + '),
+                exp.desc || '',
+                formatCurrency(exp.amount) + (exp.currency ? ` (${formatForeignAmount(exp.originalAmount, exp.currency)})` : '')
+            ]),
+            3
+        )));
+}
+
+/**
+ * Läser vald rapportperiod ur dialogen
+ * @returns {Object} { type: 'month'|'year', key }
+ */
+function readReportPeriod() {
+    const type = document.getElementById('reportType')?.value === 'year' ? 'year' : 'month';
+    if (type === 'year') {
+        return { type, key: document.getElementById('reportYear')?.value || selectedMonth.slice(0, 4) };
+    }
+    const month = document.getElementById('reportMonth')?.value;
+    return { type, key: isMonthKey(month) ? month : selectedMonth };
+}
+
+/**
+ * Fyller årsvalet med alla år som har transaktioner eller budget
+ */
+function populateReportYears() {
+    const select = document.getElementById('reportYear');
+    if (!select) return;
+    
+    const currentYear = new Date().getFullYear();
+    const firstYear = Math.min(currentYear, Number((getEarliestMonth() || String(currentYear)).slice(0, 4)),
+        ...state.incomes.map(inc => new Date(inc.date).getFullYear()).filter(year => !isNaN(year)));
+    const lastYear = Math.max(currentYear, Number(selectedMonth.slice(0, 4)));
+    
+    select.innerHTML = '';
+    for (let year = lastYear; year >= firstYear; year--) {
+        const option = document.createElement('option');
+        option.value = String(year);
+        option.textContent = String(year);
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Öppnar eller stänger rapportdialogen. Medan den är öppen skriver
+ * utskriftsformatet bara ut rapporten (se style.css).
+ * @param {boolean} open - True för att visa dialogen
+ */
+function toggleReportDialog(open) {
+    const dialog = document.getElementById('reportDialog');
+    if (!dialog) return;
+    
+    if (open) {
+        populateReportYears();
+        document.getElementById('reportMonth').value = selectedMonth;
+        document.getElementById('reportYear').value = selectedMonth.slice(0, 4);
+        updateReportPeriodFields();
+        renderReport();
+    }
+    
+    dialog.hidden = !open;
+    document.body.classList.toggle('report-open', open);
+    if (open) {
+        document.getElementById('reportType')?.focus();
+    }
+}
+
+/**
+ * Visar månads- eller årsvalet beroende på vald rapporttyp
+ */
+function updateReportPeriodFields() {
+    const isYear = document.getElementById('reportType')?.value === 'year';
+    document.getElementById('reportMonthGroup').hidden = isYear;
+    document.getElementById('reportYearGroup').hidden = !isYear;
+}
+
+// ===== PROGNOS =====
+
+/**
+ * Tillfällen för en mall som ännu inte har bokförts, efter fromKey och till och med toKey
+ * @param {Object} template - Mall
+ * @param {string} fromKey - Efter detta datum (YYYY-MM-DD)
+ * @param {string} toKey - Till och med detta datum (YYYY-MM-DD)
+ * @returns {Array<string>} Datum (YYYY-MM-DD)
+ */
+function getUpcomingOccurrences(template, fromKey, toKey) {
+    const dates = [];
+    for (let index = template.postedCount; ; index++) {
+        const date = getOccurrenceDate(template, index);
+        if (!date || date > toKey || (template.endDate && date > template.endDate)) break;
+        if (date > fromKey) dates.push(date);
+    }
+    return dates;
+}
+
+/**
+ * Snittet av rörliga utgifter per kategori och månad, räknat på de senaste hela månaderna.
+ * Utgifter från återkommande mallar räknas inte - de kommer med i prognosen via mallarna.
+ * @param {string} monthKey - Innevarande månad (YYYY-MM), ingår inte i snittet
+ * @returns {Object} { perCategory: { kategori: belopp }, total, monthCount }
+ */
+function getAverageVariableSpending(monthKey) {
+    const earliest = getEarliestMonth();
+    const months = getMonthRange(shiftMonth(monthKey, -1), FORECAST_HISTORY_MONTHS)
+        .filter(month => earliest && month >= earliest);
+    
+    const perCategory = {};
+    state.expenses
+        .filter(exp => !exp.recurringId && months.includes(getMonthKey(exp.date)))
+        .forEach(exp => {
+            getExpenseAllocations(exp).forEach(({ category, amount }) => {
+                perCategory[category] = (perCategory[category] || 0) + toNumber(amount);
+            });
+        });
+    
+    Object.keys(perCategory).forEach(category => {
+        perCategory[category] = toNumber(perCategory[category] / months.length);
+    });
+    
+    return {
+        perCategory,
+        total: toNumber(Object.values(perCategory).reduce((sum, amount) => sum + amount, 0)),
+        monthCount: months.length
+    };
+}
+
+/**
+ * Prognos för en månad: inlagda transaktioner, återkommande tillfällen efter idag
+ * och det som återstår av snittet för rörliga utgifter i varje kategori
+ * @param {string} monthKey - Månad (YYYY-MM)
+ * @param {string} todayKey - Dagens datum (YYYY-MM-DD)
+ * @param {Object} averages - Från getAverageVariableSpending
+ * @returns {Object} { month, income, expenses, net, variableLeft }
+ */
+function projectMonth(monthKey, todayKey, averages) {
+    const lastDay = getDateKey(new Date(Number(monthKey.slice(0, 4)), Number(monthKey.slice(5, 7)), 0, 12));
+    // Dag 00 ligger före månadens första dag, så i kommande månader räknas alla tillfällen
+    const fromKey = todayKey > `${monthKey}-00` ? todayKey : `${monthKey}-00`;
+    
+    let income = getIncomesForMonth(monthKey).reduce((sum, inc) => sum + toNumber(inc.amount), 0);
+    let expenses = getExpensesForMonth(monthKey).reduce((sum, exp) => sum + toNumber(exp.amount), 0);
+    
+    state.recurring.filter(template => !template.paused).forEach(template => {
+        const total = getUpcomingOccurrences(template, fromKey, lastDay).length * toNumber(template.amount);
+        if (template.type === 'income') {
+            income += total;
+        } else {
+            expenses += total;
+        }
+    });
+    
+    // Det som redan lagts i en kategori den här månaden dras av från snittet
+    const enteredVariable = getExpensesForMonth(monthKey).filter(exp => !exp.recurringId);
+    const variableLeft = Object.entries(averages.perCategory).reduce((sum, [category, average]) => {
+        const spent = enteredVariable.reduce((total, exp) => total + getAllocatedAmount(exp, category), 0);
+        return sum + Math.max(0, average - spent);
+    }, 0);
+    expenses += variableLeft;
+    
+    return {
+        month: monthKey,
+        income: toNumber(income),
+        expenses: toNumber(expenses),
+        net: toNumber(income - expenses),
+        variableLeft: toNumber(variableLeft)
+    };
+}
+
+/**
+ * Räknar fram prognosen för resten av månaden och de kommande FORECAST_MONTHS månaderna
+ * @param {Date} today - Dagens datum
+ * @returns {Object} { current, daysLeft, safeDaily, months, negativeMonths, deficitMonths, averages, recurringIncomeCount }
+ */
+function buildForecast(today = new Date()) {
+    const todayKey = getDateKey(today);
+    const monthKey = getMonthKey(today);
+    const averages = getAverageVariableSpending(monthKey);
+    
+    const current = projectMonth(monthKey, todayKey, averages);
+    const daysInMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0).getDate();
+    const daysLeft = daysInMonth - today.getDate() + 1;
+    // Det som får gå åt till rörliga utgifter resten av månaden utan att månaden går back
+    const available = current.net + current.variableLeft;
+    
+    let running = current.net;
+    const months = Array.from({ length: FORECAST_MONTHS }, (_, i) => {
+        const projected = projectMonth(shiftMonth(monthKey, i + 1), todayKey, averages);
+        running = toNumber(running + projected.net);
+        return { ...projected, running };
+    });
+    const projected = [{ ...current, running: current.net }, ...months];
+    
+    return {
+        current,
+        daysLeft,
+        safeDaily: toNumber(Math.max(0, available) / daysLeft),
+        months,
+        // Saldot går back: det ackumulerade resultatet är negativt
+        negativeMonths: projected.filter(month => month.running < 0),
+        // Månaden går back men täcks av tidigare överskott
+        deficitMonths: projected.filter(month => month.net < 0 && month.running >= 0),
+        averages,
+        recurringIncomeCount: state.recurring.filter(template => template.type === 'income' && !template.paused).length
+    };
+}
+
+/**
+ * Renderar prognosen på startsidan
+ */
+function renderForecast() {
+    const container = document.getElementById('forecast');
+    if (!container) return;
+    
+    const forecast = buildForecast();
+    container.innerHTML = '';
+    
+    const addRow = (label, value, className = '') => {
+        const row = document.createElement('div');
+        row.className = 'summary-row';
+        const labelEl = document.createElement('span');
+        labelEl.className = 'summary-label';
+        labelEl.textContent = label;
+        const valueEl = document.createElement('span');
+        valueEl.className = `summary-amount ${className}`.trim();
+        valueEl.textContent = value;
+        row.appendChild(labelEl);
+        row.appendChild(valueEl);
+        container.appendChild(row);
+    };
+    
+    const endOfMonth = forecast.current.net;
+    addRow(`Beräknat kvar ${formatMonthLabel(forecast.current.month)}:`, formatSignedCurrency(endOfMonth),
+        endOfMonth < 0 ? 'negative' : 'positive');
+    addRow(`Säkert att spendera (${forecast.daysLeft} ${forecast.daysLeft === 1 ? 'dag' : 'dagar'} kvar):`,
+        `${formatCurrency(forecast.safeDaily)}/dag`, forecast.safeDaily > 0 ? '' : 'negative');
+    
+    const warning = document.createElement('p');
+    warning.className = 'forecast-warning';
+    if (forecast.negativeMonths.length > 0) {
+        warning.classList.add('negative');
+        warning.textContent = 'Underskott väntas: ' + forecast.negativeMonths
+            .map(month => `${formatMonthLabel(month.month)} (${formatSignedCurrency(month.running)})`)
+            .join(', ');
+    } else {
+        warning.textContent = `Inget underskott väntas de kommande ${FORECAST_MONTHS} månaderna.`;
+    }
+    container.appendChild(warning);
+    
+    if (forecast.deficitMonths.length > 0) {
+        const deficit = document.createElement('p');
+        deficit.className = 'forecast-warning deficit';
+        deficit.textContent = 'Går back men täcks av tidigare överskott: ' + forecast.deficitMonths
+            .map(month => `${formatMonthLabel(month.month)} (${formatSignedCurrency(month.net)})`)
+            .join(', ');
+        container.appendChild(deficit);
+    }
+    
+    const table = document.createElement('table');
+    table.className = 'forecast-table';
+    table.setAttribute('aria-label', `Prognos för de kommande ${FORECAST_MONTHS} månaderna`);
+    const head = document.createElement('tr');
+    ['Månad', 'Inkomster', 'Utgifter', 'Netto', 'Ackumulerat'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        head.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(head);
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    forecast.months.forEach(month => {
+        const row = document.createElement('tr');
+        if (month.running < 0) {
+            row.className = 'forecast-negative';
+        } else if (month.net < 0) {
+            row.className = 'forecast-deficit';
+        }
+        [
+            formatMonthLabel(month.month),
+            formatCurrency(month.income),
+            formatCurrency(month.expenses),
+            formatSignedCurrency(month.net),
+            formatSignedCurrency(month.running)
+        ].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            row.appendChild(td);
+        });
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    
+    const tableContainer = document.createElement('div');
+    tableContainer.className = 'table-container';
+    tableContainer.appendChild(table);
+    container.appendChild(tableContainer);
+    
+    const basis = document.createElement('p');
+    basis.className = 'forecast-basis';
+    const activeTemplates = state.recurring.filter(template => !template.paused).length;
+    basis.textContent = forecast.averages.monthCount > 0
+        ? `Bygger på ${activeTemplates} återkommande transaktioner och rörliga utgifter på i snitt ` +
+            `${formatCurrency(forecast.averages.total)}/mån (${forecast.averages.monthCount} senaste månaderna).`
+        : `Bygger på ${activeTemplates} återkommande transaktioner. Rörliga utgifter räknas med när det finns en hel månad att jämföra med.`;
+    if (forecast.recurringIncomeCount === 0) {
+        basis.textContent += ' Lägg in CSN och lön som återkommande inkomster så kommer de med i prognosen.';
+    }
+    container.appendChild(basis);
+}
+
+// ===== OFFLINE (PWA) =====
+
+/**
+ * Registrerar service workern som gör att appen fungerar utan internet
+ * och frågar om uppdatering när en ny version finns
+ */
+function registerServiceWorker() {
+    // Service workers fungerar bara när sidan serveras över http(s), inte som lokal fil
+    if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+    
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        // En ny version kan redan vänta sedan förra besöket
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdatePrompt(registration.waiting);
+        }
+        
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+                // Vid första installationen finns ingen gammal version att byta från
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdatePrompt(worker);
+                }
+            });
+        });
+        
+        // Appen kan ligga öppen länge i telefonen - leta efter nya versioner när den visas igen
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                registration.update().catch(() => {});
+            }
+        });
+    }).catch(error => {
+        console.error('Kunde inte registrera service worker:', error);
+    });
+    
+    // Ladda om när den nya versionen har tagit över
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (appUpdateRequested) window.location.reload();
+    });
+}
+
+/**
+ * Visar en toast om att en ny version finns
+ * @param {ServiceWorker} worker - Den nya versionen som väntar
+ */
+function showUpdatePrompt(worker) {
+    showMessage('En ny version av Bashins Budget finns.', 'info', {
+        persistent: true,
+        action: { label: 'Uppdatera', onClick: () => applyAppUpdate(worker) }
+    });
+}
+
+/**
+ * Byter till den nya versionen. Väntande ändringar sparas först eftersom sidan laddas om.
+ * @param {ServiceWorker} worker - Den nya versionen som väntar
+ */
+async function applyAppUpdate(worker) {
+    if (saveTimer) await flushSave();
+    await saveQueue;
+    
+    appUpdateRequested = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+
+// ===== EVENT HANDLERS =====
+
+/**
+ * Startar appen - visar dashboard
+ */
+function onStart() {
+    const startCard = document.getElementById('startCard');
+    const dashboard = document.getElementById('dashboard');
+    
+    if (startCard && dashboard) {
+        startCard.style.display = 'none';
+        dashboard.style.display = 'block';
+        setDefaultEntryDates();
+        renderAll();
+    }
+}
+
+/**
+ * Laddar tidigare data om det finns
+ */
+async function onLoad() {
+    const status = await loadState();
+    if (status === 'loaded') {
+        onStart();
+        const recurringNote = recurringPostedOnLoad > 0
+            ? ` ${recurringPostedOnLoad} återkommande transaktioner har lagts till.`
+            : '';
+        showMessage(`Tidigare data har laddats!${recurringNote}`, 'success');
+    } else if (status === 'locked') {
+        // Utan lösenfras stannar appen på startsidan så att den låsta datan inte skrivs över
+        showMessage('Budgeten är låst. Klicka "Ladda Bashins Budget" igen och skriv lösenfrasen.', 'info');
+    } else {
+        // Finns det data som inte gick att läsa har loadState redan visat ett fel
+        if (status === 'empty') {
+            showMessage('Ingen tidigare data hittades. Startar med standardinställningar.', 'info');
+        }
+        onStart();
+    }
+}
+
+/**
+ * Hanterar val av månad i månadsväljaren
+ */
+function onMonthChange(e) {
+    setSelectedMonth(e.target.value);
+}
+
+/**
+ * Lägger till ny utgift
+ */
+async function onAddExpense() {
+    const category = document.getElementById('expenseCategory')?.value;
+    const desc = document.getElementById('expenseDesc')?.value?.trim();
+    const dateValue = document.getElementById('expenseDate')?.value;
+    
+    if (!category) {
+        showMessage('Välj en kategori för utgiften.', 'error');
+        return;
+    }
+    
+    // Belopp i utländsk valuta räknas om till kronor, som budgeten räknas i
+    const money = readCurrencyFields('expense');
+    if (money.error) {
+        showMessage(money.error, 'error');
+        return;
+    }
+    const numAmount = money.amount;
+    
+    const date = resolveEntryDate(dateValue);
+    if (!date) {
+        showMessage('Ange ett giltigt datum.', 'error');
+        return;
+    }
+    
+    const sharing = readSplitFields('expenseSplitFields', numAmount);
+    if (sharing.error) {
+        showMessage(sharing.error, 'error');
+        return;
+    }
+    
+    const allocation = readAllocationFields('expense', numAmount);
+    if (allocation.error) {
+        showMessage(allocation.error, 'error');
+        return;
+    }
+    const tags = parseTags(document.getElementById('expenseTags')?.value);
+    
+    // Varna innan köpet sparas om det tar kategorin (eller någon av delarna) över varningsgränsen eller budgeten
+    const parts = allocation.allocations || [{ category, amount: numAmount }];
+    const budgetWarning = parts
+        .map(part => describeBudgetImpact(part.category, part.amount, getMonthKey(date)))
+        .filter(Boolean)
+        .join(' ');
+    if (budgetWarning) {
+        const proceed = await confirmDialog(`${budgetWarning} Vill du lägga till utgiften ändå?`, {
+            title: '⚠️ Budgetvarning',
+            confirmLabel: 'Lägg till ändå'
+        });
+        if (!proceed) return;
+    }
+    
+    const receiptIds = await saveReceiptDrafts('expense');
+    if (!receiptIds) return;
+    
+    const expense = {
+        id: generateId(),
+        category: parts[0].category,
+        amount: numAmount,
+        desc: desc || 'Ingen beskrivning',
+        date: date
+    };
+    
+    // En fördelad utgift kopplas inte till något sparmål
+    const goalId = document.getElementById('expenseGoal')?.value;
+    if (!allocation.allocations && category === SAVINGS_CATEGORY && goalId) {
+        expense.goalId = goalId;
+    }
+    Object.assign(expense, sharing, allocation);
+    if (tags.length > 0) {
+        expense.tags = tags;
+    }
+    if (money.currency) {
+        expense.currency = money.currency;
+        expense.originalAmount = money.originalAmount;
+        expense.rate = money.rate;
+    }
+    if (receiptIds.length > 0) {
+        expense.receipts = receiptIds;
+    }
+    
+    recordUndo('ny utgift');
+    state.expenses.push(expense);
+    releaseUnattachedReceipts(receiptIds);
+    if (money.currency) {
+        state.exchangeRates[money.currency] = money.rate;
+    }
+    
+    // Rensa formulär
+    document.getElementById('expenseDesc').value = '';
+    document.getElementById('expenseAmount').value = '';
+    updateCurrencyFields('expense');
+    receiptDrafts.expense = [];
+    renderReceiptDrafts('expense');
+    if (allocation.allocations) {
+        document.getElementById('expenseCategory').value = expense.category;
+    }
+    allocationDrafts.expense = [];
+    renderAllocationFields('expense');
+    
+    renderAll();
+    
+    // Auto-save för att säkerställa att inget försvinner
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    const original = money.currency ? ` (${formatForeignAmount(money.originalAmount, money.currency)})` : '';
+    const categoryText = parts.map(part => part.category).join(' + ');
+    showMessage(`Utgift på ${formatCurrency(numAmount)}${original} för ${categoryText} har lagts till!${describeOtherMonth(date)}`, 'success', { action: UNDO_ACTION });
+}
+
+/**
+ * Lägger till ny inkomst
+ */
+function onAddIncome() {
+    const source = document.getElementById('incomeSource')?.value;
+    const amount = document.getElementById('incomeAmount')?.value;
+    const dateValue = document.getElementById('incomeDate')?.value;
+    
+    if (!source) {
+        showMessage('Välj en inkomstkälla.', 'error');
+        return;
+    }
+    
+    const numAmount = toNumber(amount);
+    if (numAmount <= 0) {
+        showMessage('Ange ett giltigt belopp (större än 0).', 'error');
+        return;
+    }
+    
+    const date = resolveEntryDate(dateValue);
+    if (!date) {
+        showMessage('Ange ett giltigt datum.', 'error');
+        return;
+    }
+    
+    const income = {
+        id: generateId(),
+        source: source,
+        amount: numAmount,
+        date: date
+    };
+    
+    recordUndo('ny inkomst');
+    state.incomes.push(income);
+    
+    // Rensa formulär
+    document.getElementById('incomeAmount').value = '';
+    
+    renderAll();
+    
+    // Auto-save för att säkerställa att inget försvinner
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    showMessage(`Inkomst på ${formatCurrency(numAmount)} från ${source} har lagts till!${describeOtherMonth(date)}`, 'success', { action: UNDO_ACTION });
+}
+
+
+/**
+ * Läser av historikens filterfält och renderar om från första sidan
+ */
+function onHistoryFilterChange() {
+    historyFilters = {
+        ...historyFilters,
+        query: document.getElementById('historySearch')?.value || '',
+        type: document.getElementById('historyType')?.value || 'all',
+        category: document.getElementById('historyCategory')?.value || '',
+        tag: document.getElementById('historyTag')?.value || '',
+        minAmount: document.getElementById('historyMinAmount')?.value || '',
+        maxAmount: document.getElementById('historyMaxAmount')?.value || '',
+        from: document.getElementById('historyFrom')?.value || '',
+        to: document.getElementById('historyTo')?.value || '',
+        page: 1
+    };
+    renderHistory();
+}
+
+/**
+ * Rensar alla filter i historikvyn
+ */
+function onHistoryReset() {
+    ['historySearch', 'historyMinAmount', 'historyMaxAmount', 'historyFrom', 'historyTo'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.value = '';
+    });
+    const typeSelect = document.getElementById('historyType');
+    if (typeSelect) typeSelect.value = 'all';
+    const categorySelect = document.getElementById('historyCategory');
+    if (categorySelect) categorySelect.value = '';
+    const tagSelect = document.getElementById('historyTag');
+    if (tagSelect) tagSelect.value = '';
+    
+    onHistoryFilterChange();
+}
+
+/**
+ * Visar alla utgifter med en tagg i historiken (från taggsammanställningen)
+ * @param {string} tag - Tagg utan #
+ */
+function onShowTagInHistory(tag) {
+    onHistoryReset();
+    const tagSelect = document.getElementById('historyTag');
+    if (!tagSelect) return;
+    tagSelect.value = tag;
+    onHistoryFilterChange();
+    tagSelect.focus(); // Flyttar även vyn till historiken
+}
+
+/**
+ * Sorterar historiken på klickad kolumn (klick igen vänder ordningen)
+ * @param {string} key - Kolumn att sortera på
+ */
+function onHistorySort(key) {
+    if (historyFilters.sortKey === key) {
+        historyFilters.sortDir = historyFilters.sortDir === 'asc' ? 'desc' : 'asc';
+    } else {
+        historyFilters.sortKey = key;
+        historyFilters.sortDir = key === 'date' || key === 'amount' ? 'desc' : 'asc';
+    }
+    historyFilters.page = 1;
+    renderHistory();
+}
+
+/**
+ * Byter sida i historiken
+ * @param {number} delta - -1 för föregående, 1 för nästa
+ */
+function onHistoryPage(delta) {
+    historyFilters.page += delta;
+    renderHistory();
+}
+
+/**
+ * Sparar en ny eller ändrad återkommande mall och bokför tillfällen som redan passerat
+ */
+function onSaveRecurring() {
+    const type = document.getElementById('recurringType')?.value;
+    const name = document.getElementById('recurringCategory')?.value;
+    const amount = toNumber(document.getElementById('recurringAmount')?.value);
+    const desc = document.getElementById('recurringDesc')?.value?.trim() || '';
+    const frequencyChoice = document.getElementById('recurringFrequency')?.value;
+    const startDate = document.getElementById('recurringStart')?.value;
+    const endDate = document.getElementById('recurringEnd')?.value || '';
+    
+    if (!name) {
+        showMessage(type === 'expense' ? 'Välj en kategori.' : 'Välj en inkomstkälla.', 'error');
+        return;
+    }
+    
+    if (amount <= 0) {
+        showMessage('Ange ett giltigt belopp (större än 0).', 'error');
+        return;
+    }
+    
+    if (!dateKeyToISO(startDate)) {
+        showMessage('Ange ett giltigt startdatum.', 'error');
+        return;
+    }
+    
+    if (endDate && endDate < startDate) {
+        showMessage('Slutdatumet måste vara efter startdatumet.', 'error');
+        return;
+    }
+    
+    const frequency = frequencyChoice === 'months' ? 'monthly' : frequencyChoice;
+    const interval = frequencyChoice === 'months'
+        ? Math.max(1, Math.round(Number(document.getElementById('recurringInterval')?.value) || 1))
+        : 1;
+    
+    let template = editingRecurringId ? state.recurring.find(tpl => tpl.id === editingRecurringId) : null;
+    recordUndo(template ? 'ändrad återkommande transaktion' : 'ny återkommande transaktion');
+    if (template) {
+        const scheduleChanged = template.startDate !== startDate
+            || template.frequency !== frequency
+            || template.interval !== interval;
+        Object.assign(template, { [getNameField(type)]: name, amount, desc, frequency, interval, startDate, endDate });
+        
+        // Nytt schema gäller framåt - redan passerade tillfällen bokförs inte igen
+        if (scheduleChanged) {
+            template.postedCount = countOccurrencesThrough(template, getDateKey(new Date()));
+        }
+    } else {
+        template = createRecurringTemplate({ type, name, amount, desc, frequency, interval, startDate, endDate });
+        state.recurring.push(template);
+    }
+    
+    const isNew = !editingRecurringId;
+    const posted = applyRecurringTransactions();
+    closeRecurringDialog();
+    renderAll();
+    
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    const postedNote = posted.length > 0 ? ` ${posted.length} transaktioner har bokförts.` : '';
+    showMessage(`Den återkommande transaktionen har ${isNew ? 'skapats' : 'uppdaterats'}.${postedNote}`, 'success', { action: UNDO_ACTION });
+}
+
+/**
+ * Pausar eller återupptar en mall. Tillfällen under pausen bokförs inte i efterhand.
+ * @param {string} id - Mallens id
+ */
+function onToggleRecurringPause(id) {
+    const template = state.recurring.find(tpl => tpl.id === id);
+    if (!template) return;
+    
+    recordUndo(template.paused ? 'återupptagen återkommande transaktion' : 'pausad återkommande transaktion');
+    template.paused = !template.paused;
+    if (!template.paused) {
+        template.postedCount = Math.max(template.postedCount, countOccurrencesThrough(template, getDateKey(new Date())));
+    }
+    
+    const posted = applyRecurringTransactions();
+    renderAll();
+    
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    const postedNote = posted.length > 0 ? ` ${posted.length} transaktioner har bokförts.` : '';
+    showMessage(template.paused ? 'Den återkommande transaktionen är pausad.' : `Den återkommande transaktionen är återupptagen.${postedNote}`, 'success', { action: UNDO_ACTION });
+}
+
+/**
+ * Tar bort en mall. Redan bokförda transaktioner ligger kvar.
+ * @param {string} id - Mallens id
+ */
+async function onDeleteRecurring(id) {
+    const confirmed = await confirmDialog('Redan bokförda transaktioner ligger kvar.', {
+        title: 'Ta bort återkommande transaktion?',
+        confirmLabel: 'Ta bort',
+        danger: true
+    });
+    if (!confirmed) return;
+    
+    recordUndo('borttagen återkommande transaktion');
+    state.recurring = state.recurring.filter(tpl => tpl.id !== id);
+    renderAll();
+    
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    showMessage('Den återkommande transaktionen har tagits bort.', 'success', { action: UNDO_ACTION });
+}
+
+/**
+ * Sparar varningsgränserna från dialogen. Standardgränsen lagras inte.
+ */
+function onSaveThresholds() {
+    const inputs = document.querySelectorAll('#thresholdList input[data-category]');
+    const thresholds = {};
+    
+    for (const input of inputs) {
+        const value = Math.round(Number(input.value));
+        if (!(value >= 1 && value <= 100)) {
+            showMessage(`Varningsgränsen för ${input.dataset.category} ska vara mellan 1 och 100 %.`, 'error');
+            input.focus();
+            return;
+        }
+        if (value !== DEFAULT_WARNING_THRESHOLD) {
+            thresholds[input.dataset.category] = value;
+        }
+    }
+    
+    recordUndo('ändrade varningsgränser');
+    state.warningThresholds = thresholds;
+    toggleThresholdDialog(false);
+    renderAll();
+    
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    showMessage('Varningsgränserna har sparats.', 'success', { action: UNDO_ACTION });
+}
+
+/**
+ * Läser analysens period och kategori från valen och ritar om diagrammen
+ */
+function onAnalyticsSettingsChange() {
+    analyticsSettings = {
+        months: Number(document.getElementById('analyticsMonths')?.value) || 6,
+        category: document.getElementById('analyticsCategory')?.value || ''
+    };
+    renderAnalytics();
+}
+
+/**
+ * Sparar ett nytt eller ändrat sparmål
+ */
+function onSaveGoal() {
+    const name = document.getElementById('goalName')?.value?.trim();
+    const target = toNumber(document.getElementById('goalTarget')?.value);
+    const deadline = document.getElementById('goalDeadline')?.value;
+    
+    if (!name) {
+        showMessage('Ge sparmålet ett namn.', 'error');
+        return;
+    }
+    
+    if (target <= 0) {
+        showMessage('Ange ett giltigt målbelopp (större än 0).', 'error');
+        return;
+    }
+    
+    if (!isMonthKey(deadline)) {
+        showMessage('Välj en månad då målet ska vara nått.', 'error');
+        return;
+    }
+    
+    const goal = editingGoalId ? state.goals.find(g => g.id === editingGoalId) : null;
+    recordUndo(goal ? `ändrat sparmål "${goal.name}"` : `nytt sparmål "${name}"`);
+    if (goal) {
+        Object.assign(goal, { name, target, deadline });
+    } else {
+        state.goals.push({ id: generateId(), name, target, deadline });
+    }
+    
+    closeGoalDialog();
+    renderAll();
+    
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    showMessage(`Sparmålet "${name}" har ${goal ? 'uppdaterats' : 'skapats'}.`, 'success', { action: UNDO_ACTION });
+}
+
+/**
+ * Sparar en insättning till ett sparmål som inte är en utgift i budgeten
+ */
+function onSaveContribution() {
+    const goal = state.goals.find(g => g.id === contributingGoalId);
+    if (!goal) {
+        closeContributionDialog();
+        showMessage('Sparmålet finns inte längre.', 'error');
+        return;
+    }
+    
+    const amount = toNumber(document.getElementById('contributionAmount')?.value);
+    const desc = document.getElementById('contributionDesc')?.value?.trim() || '';
+    const date = resolveEntryDate(document.getElementById('contributionDate')?.value);
+    
+    if (amount <= 0) {
+        showMessage('Ange ett giltigt belopp (större än 0).', 'error');
+        return;
+    }
+    
+    if (!date) {
+        showMessage('Ange ett giltigt datum.', 'error');
+        return;
+    }
+    
+    recordUndo(`insättning till ${goal.name}`);
+    state.goalContributions.push({ id: generateId(), goalId: goal.id, amount, desc, date });
+    
+    closeContributionDialog();
+    renderAll();
+    
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    showMessage(`${formatCurrency(amount)} har satts in till ${goal.name}!`, 'success', { action: UNDO_ACTION });
+}
+
+/**
+ * Tar bort ett sparmål. Kopplade utgifter ligger kvar men kopplas loss.
+ * @param {string} goalId - Målets id
+ */
+async function onDeleteGoal(goalId) {
+    const goal = state.goals.find(g => g.id === goalId);
+    if (!goal) return;
+    
+    const confirmed = await confirmDialog('Egna insättningar tas bort, utgifter under Sparande ligger kvar.', {
+        title: `Ta bort sparmålet "${goal.name}"?`,
+        confirmLabel: 'Ta bort',
+        danger: true
+    });
+    if (!confirmed) return;
+    
+    recordUndo(`borttaget sparmål "${goal.name}"`);
+    state.goals = state.goals.filter(g => g.id !== goalId);
+    state.goalContributions = state.goalContributions.filter(entry => entry.goalId !== goalId);
+    state.expenses.forEach(exp => {
+        if (exp.goalId === goalId) delete exp.goalId;
+    });
+    renderAll();
+    
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    showMessage('Sparmålet har tagits bort.', 'success', { action: UNDO_ACTION });
+}
+
+/**
+ * Lägger till en person som kan betala och dela utgifter
+ */
+function onAddPerson() {
+    const input = document.getElementById('newPersonName');
+    const name = input?.value?.trim();
+    
+    if (!name) {
+        showMessage('Skriv ett namn.', 'error');
+        return;
+    }
+    
+    if (state.people.some(person => person.toLowerCase() === name.toLowerCase())) {
+        showMessage(`"${name}" finns redan.`, 'error');
+        return;
+    }
+    
+    recordUndo(`ny person "${name}"`);
+    state.people.push(name);
+    input.value = '';
+    renderAll();
+    
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    showMessage(`${name} har lagts till.`, 'success', { action: UNDO_ACTION });
+}
+
+/**
+ * Tar bort en person som inte längre finns med i några delade utgifter eller avräkningar
+ * @param {string} name - Personens namn
+ */
+async function onRemovePerson(name) {
+    if (!state.people.includes(name)) return;
+    
+    const inUse = state.expenses.some(exp => exp.paidBy === name || (exp.split?.shares && name in exp.split.shares)) ||
+        state.settlements.some(entry => entry.from === name || entry.to === name);
+    if (inUse) {
+        showMessage(`${name} finns med i delade utgifter eller avräkningar och kan inte tas bort.`, 'error');
+        return;
+    }
+    
+    const confirmed = await confirmDialog(`${name} tas bort från listan över personer som delar utgifter.`, {
+        title: `Ta bort ${name}?`,
+        confirmLabel: 'Ta bort',
+        danger: true
+    });
+    if (!confirmed) return;
+    
+    recordUndo(`borttagen person "${name}"`);
+    state.people = state.people.filter(person => person !== name);
+    renderAll();
+    
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    showMessage(`${name} har tagits bort.`, 'success', { action: UNDO_ACTION });
+}
+
+/**
+ * Registrerar betalningar mellan personer så att skulderna blir kvitt
+ * @param {Array<Object>} transfers - { from, to, amount } från getSettleTransfers
+ */
+async function onSettleUp(transfers) {
+    if (transfers.length === 0) return;
+    
+    const lines = transfers.map(t => `${t.from} betalar ${t.to} ${formatCurrency(t.amount)}`).join(', ');
+    const confirmed = await confirmDialog(`${lines}. Betalningen påverkar inte budgeten.`, {
+        title: 'Gör upp?',
+        confirmLabel: 'Gör upp'
+    });
+    if (!confirmed) return;
+    
+    recordUndo('avräkning');
+    const date = new Date().toISOString();
+    transfers.forEach(t => {
+        state.settlements.push({ id: generateId(), from: t.from, to: t.to, amount: t.amount, date });
+    });
+    renderAll();
+    
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    showMessage(`Avräkningen är registrerad: ${lines}.`, 'success', { action: UNDO_ACTION });
+}
+
+/**
+ * Tar bort en registrerad avräkning, t.ex. om den lades in av misstag
+ * @param {string} settlementId - Avräkningens id
+ */
+async function onDeleteSettlement(settlementId) {
+    const settlement = state.settlements.find(entry => entry.id === settlementId);
+    if (!settlement) return;
+    
+    const confirmed = await confirmDialog(`Skulden på ${formatCurrency(settlement.amount)} mellan ${settlement.from} och ${settlement.to} kommer tillbaka.`, {
+        title: 'Ta bort avräkningen?',
+        confirmLabel: 'Ta bort',
+        danger: true
+    });
+    if (!confirmed) return;
+    
+    recordUndo('borttagen avräkning');
+    state.settlements = state.settlements.filter(entry => entry.id !== settlementId);
+    renderAll();
+    
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    showMessage('Avräkningen har tagits bort.', 'success', { action: UNDO_ACTION });
+}
+
+/**
+ * Sparar ändringarna från ändringsdialogen
+ */
+async function onSaveEdit() {
+    if (!editingTransaction) return;
+    
+    const { type, id } = editingTransaction;
+    const tx = findTransaction(type, id);
+    if (!tx) {
+        closeEditDialog();
+        showMessage('Transaktionen finns inte längre.', 'error');
+        return;
+    }
+    
+    const category = document.getElementById('editCategory')?.value;
+    const desc = document.getElementById('editDesc')?.value?.trim();
+    const dateValue = document.getElementById('editDate')?.value;
+    
+    if (!category) {
+        showMessage(type === 'expense' ? 'Välj en kategori för utgiften.' : 'Välj en inkomstkälla.', 'error');
+        return;
+    }
+    
+    // Inkomster har alltid kronor som valuta (valutaväljaren är dold)
+    const money = readCurrencyFields('edit');
+    if (money.error) {
+        showMessage(money.error, 'error');
+        return;
+    }
+    const numAmount = money.amount;
+    
+    // Behåll ursprunglig tidpunkt om dagen inte har ändrats
+    const date = dateValue === getDateKey(tx.date) ? tx.date : dateKeyToISO(dateValue);
+    if (!date) {
+        showMessage('Ange ett giltigt datum.', 'error');
+        return;
+    }
+    
+    const sharing = type === 'expense' ? readSplitFields('editSplitFields', numAmount) : {};
+    if (sharing.error) {
+        showMessage(sharing.error, 'error');
+        return;
+    }
+    
+    const allocation = type === 'expense' ? readAllocationFields('edit', numAmount) : {};
+    if (allocation.error) {
+        showMessage(allocation.error, 'error');
+        return;
+    }
+    
+    const receiptIds = type === 'expense' ? await saveReceiptDrafts('edit') : [];
+    if (!receiptIds) return;
+    
+    // Dialogen kan ha stängts medan kvittona sparades
+    if (editingTransaction?.id !== id || findTransaction(type, id) !== tx) {
+        releaseUnattachedReceipts(receiptIds);
+        return;
+    }
+    
+    recordUndo(type === 'expense' ? 'ändrad utgift' : 'ändrad inkomst');
+    if (type === 'expense') {
+        tx.category = allocation.allocations ? allocation.allocations[0].category : category;
+        tx.desc = desc || 'Ingen beskrivning';
+        
+        const goalId = document.getElementById('editGoal')?.value;
+        if (!allocation.allocations && category === SAVINGS_CATEGORY && goalId) {
+            tx.goalId = goalId;
+        } else {
+            delete tx.goalId;
+        }
+        
+        delete tx.paidBy;
+        delete tx.split;
+        Object.assign(tx, sharing);
+        
+        delete tx.allocations;
+        Object.assign(tx, allocation);
+        
+        const tags = parseTags(document.getElementById('editTags')?.value);
+        if (tags.length > 0) {
+            tx.tags = tags;
+        } else {
+            delete tx.tags;
+        }
+        
+        delete tx.currency;
+        delete tx.originalAmount;
+        delete tx.rate;
+        if (money.currency) {
+            tx.currency = money.currency;
+            tx.originalAmount = money.originalAmount;
+            tx.rate = money.rate;
+            state.exchangeRates[money.currency] = money.rate;
+        }
+        
+        // Borttagna kvitton städas bort vid sparningen (se collectReceiptGarbage)
+        if ((tx.receipts || []).some(receiptId => !receiptIds.includes(receiptId))) {
+            receiptCleanupNeeded = true;
+        }
+        if (receiptIds.length > 0) {
+            tx.receipts = receiptIds;
+        } else {
+            delete tx.receipts;
+        }
+        releaseUnattachedReceipts(receiptIds);
+    } else {
+        tx.source = category;
+        tx.desc = desc || '';
+    }
+    tx.amount = numAmount;
+    tx.date = date;
+    
+    closeEditDialog();
+    renderAll();
+    
+    // Auto-save för att säkerställa att inget försvinner
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    showMessage(`${type === 'expense' ? 'Utgiften' : 'Inkomsten'} har uppdaterats.${describeOtherMonth(date)}`, 'success', { action: UNDO_ACTION });
+}
+
+/**
+ * Tar bort en utgift
+ */
+async function deleteExpense(expenseId) {
+    const confirmed = await confirmDialog('Är du säker på att du vill ta bort denna utgift?', {
+        title: 'Ta bort utgift?',
+        confirmLabel: 'Ta bort',
+        danger: true
+    });
+    if (confirmed) {
+        recordUndo('borttagen utgift');
+        // Utgiftens kvitton tas bort vid sparningen när inget ångra-steg eller någon säkerhetskopia behöver dem längre
+        if (findTransaction('expense', expenseId)?.receipts) receiptCleanupNeeded = true;
+        state.expenses = state.expenses.filter(exp => exp.id !== expenseId);
+        renderAll();
+        
+        // Auto-save för att säkerställa att inget försvinner
+        saveState();
+        markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+        showMessage('Utgiften har tagits bort.', 'success', { action: UNDO_ACTION });
+    }
+}
+
+/**
+ * Tar bort en inkomst
+ */
+async function deleteIncome(incomeId) {
+    const confirmed = await confirmDialog('Är du säker på att du vill ta bort denna inkomst?', {
+        title: 'Ta bort inkomst?',
+        confirmLabel: 'Ta bort',
+        danger: true
+    });
+    if (confirmed) {
+        recordUndo('borttagen inkomst');
+        state.incomes = state.incomes.filter(inc => inc.id !== incomeId);
+        renderAll();
+        
+        // Auto-save för att säkerställa att inget försvinner
+        saveState();
+        markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+        showMessage('Inkomsten har tagits bort.', 'success', { action: UNDO_ACTION });
+    }
+}
+
+/**
+ * Exporterar data som JSON-fil, med kvittobilderna så att filen är en komplett säkerhetskopia
+ */
+async function onExport() {
+    try {
+        const dataStr = await serializeExport(2);
+        downloadFile(dataStr, `bashins-budget-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+        
+        showMessage('Data har exporterats som JSON-fil!', 'success');
+    } catch (error) {
+        console.error('Fel vid export:', error);
+        showMessage('Kunde inte exportera data.', 'error');
+    }
+}
+
+/**
+ * Exporterar data som en fil krypterad med en lösenfras, för att flytta den mellan enheter
+ */
+async function onExportEncrypted() {
+    const lockKey = await requestPassphrase({
+        title: '🔒 Krypterad export',
+        message: `Välj en lösenfras för filen (minst ${MIN_PASSPHRASE_LENGTH} tecken). Den behövs när filen importeras på en annan enhet.`,
+        confirmLabel: 'Exportera',
+        repeat: true,
+        verify: passphrase => deriveLockKey(passphrase)
+    });
+    if (!lockKey) return;
+    
+    try {
+        const encrypted = await encryptText(await serializeExport(), lockKey);
+        downloadFile(JSON.stringify(encrypted, null, 2), `bashins-budget-${new Date().toISOString().split('T')[0]}-krypterad.json`, 'application/json');
+        
+        showMessage('Data har exporterats som krypterad fil!', 'success');
+    } catch (error) {
+        console.error('Fel vid krypterad export:', error);
+        showMessage('Kunde inte exportera data.', 'error');
+    }
+}
+
+/**
+ * Aktiverar eller stänger av applåset
+ */
+async function onToggleAppLock() {
+    const previousLock = appLock;
+    if (previousLock) {
+        const confirmed = await requestPassphrase({
+            title: 'Stänga av applåset?',
+            message: 'Skriv lösenfrasen. Datan sparas sedan okrypterad i webbläsaren.',
+            confirmLabel: 'Stäng av',
+            verify: async passphrase => {
+                const lockKey = await deriveLockKey(passphrase, previousLock.salt, previousLock.iterations);
+                // Rätt lösenfras ger samma nyckel - prova den på en krypterad text
+                await decryptText(await encryptText('', previousLock), lockKey);
+                return true;
+            }
+        });
+        if (!confirmed) return;
+        appLock = null;
+    } else {
+        const lockKey = await requestPassphrase({
+            title: '🔒 Aktivera applås',
+            message: `Välj en lösenfras (minst ${MIN_PASSPHRASE_LENGTH} tecken). Den behövs varje gång budgeten laddas och datan går inte att få tillbaka om den glöms bort.`,
+            confirmLabel: 'Aktivera',
+            repeat: true,
+            verify: passphrase => deriveLockKey(passphrase)
+        });
+        if (!lockKey) return;
+        appLock = lockKey;
+    }
+    
+    // Spara om data, säkerhetskopior och ångra-historik med det nya låset
+    saveUndoHistory();
+    await resealBackups(previousLock);
+    await resealReceipts(previousLock).catch(error => console.error('Kunde inte kryptera om kvittona:', error));
+    const saved = saveState() && await flushSave();
+    renderLockStatus();
+    
+    if (saved) {
+        showMessage(appLock ? 'Applåset är på. Datan är krypterad med din lösenfras.' : 'Applåset är avstängt.', 'success');
+    } else {
+        showMessage('Applåset ändrades men datan kunde inte sparas. Klicka "Spara" för att försöka igen.', 'error');
+    }
+}
+
+/**
+ * Byter profil från väljaren i sidhuvudet
+ */
+async function onProfileSelectChange(e) {
+    // Öppnades inte profilen visar väljaren fortfarande den som är öppen
+    if (!(await switchProfile(e.target.value))) {
+        renderProfileSwitcher();
+    }
+}
+
+/**
+ * Skapar en ny profil och öppnar den
+ * @param {boolean} copyActive - true för att kopiera den öppna profilens data, annars en tom profil
+ */
+async function onCreateProfile(copyActive) {
+    const input = document.getElementById('newProfileName');
+    const name = input?.value?.trim() || (copyActive ? `${getActiveProfile().name} (kopia)` : '');
+    
+    const error = validateProfileName(name);
+    if (error) {
+        showMessage(error, 'error');
+        return;
+    }
+    
+    const profile = { id: generateId(), name };
+    if (copyActive) {
+        try {
+            const receipts = await readStoredReceipts([...getReceiptIds(state.expenses)]);
+            await writeProfileData(profile.id, { schemaVersion: SCHEMA_VERSION, ...state }, receipts);
+        } catch (error) {
+            console.error('Fel vid kopiering av profil:', error);
+            showMessage('Profilen kunde inte kopieras.', 'error');
+            return;
+        }
+    }
+    
+    profiles.list.push(profile);
+    if (!saveProfiles()) return;
+    if (input) input.value = '';
+    await switchProfile(profile.id);
+}
+
+/**
+ * Byter namn på en profil från namnfältet i profildialogen
+ * @param {string} profileId - Profilens id
+ * @param {HTMLInputElement} input - Namnfältet
+ */
+function onRenameProfile(profileId, input) {
+    const profile = profiles.list.find(p => p.id === profileId);
+    if (!profile) return;
+    
+    const newName = input.value.trim();
+    if (newName === profile.name) return;
+    
+    const error = validateProfileName(newName, profileId);
+    if (error) {
+        input.value = profile.name;
+        showMessage(error, 'error');
+        return;
+    }
+    
+    const oldName = profile.name;
+    profile.name = newName;
+    if (saveProfiles()) {
+        renderProfileSwitcher();
+        showMessage(`"${oldName}" heter nu "${newName}".`, 'success');
+    }
+}
+
+/**
+ * Tar bort en profil med all dess data. Är den öppen byts det först till en annan profil.
+ * @param {string} profileId - Profilens id
+ */
+async function onDeleteProfile(profileId) {
+    const profile = profiles.list.find(p => p.id === profileId);
+    if (!profile || profiles.list.length <= 1) return;
+    
+    const confirmed = await confirmDialog(`"${profile.name}" tas bort med alla transaktioner, budgetar och säkerhetskopior. Detta kan inte ångras.`, {
+        title: 'Ta bort profil?',
+        confirmLabel: 'Ta bort',
+        danger: true
+    });
+    if (!confirmed) return;
+    
+    if (profileId === profiles.active) {
+        const other = profiles.list.find(p => p.id !== profileId);
+        if (!(await switchProfile(other.id))) return;
+    }
+    
+    profiles.list = profiles.list.filter(p => p.id !== profileId);
+    saveProfiles();
+    renderProfileSwitcher();
+    renderProfileList();
+    
+    try {
+        await deleteProfileStorage(profileId);
+        showMessage(`"${profile.name}" har tagits bort.`, 'success');
+    } catch (error) {
+        console.error('Fel vid borttagning av profil:', error);
+        showMessage(`"${profile.name}" togs bort från listan men dess data kunde inte raderas.`, 'error');
+    }
+}
+
+/**
+ * Lägger till en ny kategori eller inkomstkälla
+ * @param {string} type - 'expense' eller 'income'
+ */
+function onAddCategory(type) {
+    const input = document.getElementById(type === 'expense' ? 'newExpenseCategory' : 'newIncomeCategory');
+    const name = input?.value?.trim();
+    
+    const error = validateCategoryName(type, name);
+    if (error) {
+        showMessage(error, 'error');
+        return;
+    }
+    
+    recordUndo(`ny kategori "${name}"`);
+    getCategoryList(type).push(name);
+    input.value = '';
+    commitCategoryChange(`"${name}" har lagts till!`);
+}
+
+/**
+ * Byter namn på en kategori från namnfältet i editorn
+ * @param {string} type - 'expense' eller 'income'
+ * @param {string} oldName - Nuvarande namn
+ * @param {HTMLInputElement} input - Namnfältet
+ */
+function onRenameCategory(type, oldName, input) {
+    const newName = input.value.trim();
+    if (newName === oldName) return;
+    
+    const error = isSavingsCategoryInUse(type, oldName)
+        ? SAVINGS_CATEGORY_LOCKED
+        : validateCategoryName(type, newName, oldName);
+    if (error) {
+        input.value = oldName;
+        showMessage(error, 'error');
+        return;
+    }
+    
+    recordUndo(`namnbyte på "${oldName}"`);
+    renameCategory(type, oldName, newName);
+    commitCategoryChange(`"${oldName}" heter nu "${newName}".`);
+}
+
+/**
+ * Flyttar en kategori upp eller ner
+ * @param {string} type - 'expense' eller 'income'
+ * @param {string} name - Kategori
+ * @param {number} direction - -1 för upp, 1 för ner
+ */
+function onMoveCategory(type, name, direction) {
+    recordUndo(`flytt av "${name}"`);
+    moveCategory(type, name, direction);
+    commitCategoryChange(null);
+}
+
+/**
+ * Tar bort en kategori. Används den av transaktioner måste de först flyttas.
+ * @param {string} type - 'expense' eller 'income'
+ * @param {string} name - Kategori
+ */
+async function onDeleteCategory(type, name) {
+    if (isSavingsCategoryInUse(type, name)) {
+        showMessage(SAVINGS_CATEGORY_LOCKED, 'error');
+        return;
+    }
+    
+    if (getCategoryList(type).length <= 1) {
+        showMessage('Det måste finnas minst en kategori.', 'error');
+        return;
+    }
+    
+    if (getCategoryTransactions(type, name).length > 0) {
+        categoryPendingDelete = { type, name };
+        renderCategoryEditor();
+        return;
+    }
+    
+    const confirmed = await confirmDialog(`Vill du ta bort "${name}"?`, {
+        title: 'Ta bort kategori?',
+        confirmLabel: 'Ta bort',
+        danger: true
     });
+    if (confirmed) {
+        recordUndo(`borttagen kategori "${name}"`);
+        removeCategory(type, name, null);
+        commitCategoryChange(`"${name}" har tagits bort.`);
+    }
 }
 
 /**
- * Beräknar total inkomst för månaden
+ * Flyttar transaktionerna och tar bort kategorin
+ * @param {string} type - 'expense' eller 'income'
+ * @param {string} name - Kategori att ta bort
+ * @param {string} targetName - Kategori som tar över transaktionerna
  */
-function calculateTotalIncome() {
-    return state.incomes.reduce((sum, income) => sum + toNumber(income.amount), 0);
+function onConfirmDeleteCategory(type, name, targetName) {
+    if (isSavingsCategoryInUse(type, name)) {
+        categoryPendingDelete = null;
+        renderCategoryEditor();
+        showMessage(SAVINGS_CATEGORY_LOCKED, 'error');
+        return;
+    }
+    
+    if (!targetName || !getCategoryList(type).includes(targetName)) {
+        showMessage('Välj vilken kategori transaktionerna ska flyttas till.', 'error');
+        return;
+    }
+    
+    const count = getCategoryTransactions(type, name).length;
+    categoryPendingDelete = null;
+    recordUndo(`borttagen kategori "${name}"`);
+    removeCategory(type, name, targetName);
+    commitCategoryChange(`"${name}" har tagits bort och ${count} transaktioner flyttades till "${targetName}".`);
 }
 
 /**
- * Beräknar totala utgifter för månaden
+ * Skriver ut rapporten, eller sparar den som PDF via webbläsarens utskriftsdialog
  */
-function calculateTotalExpenses() {
-    return state.expenses.reduce((sum, expense) => sum + toNumber(expense.amount), 0);
+function onPrintReport() {
+    renderReport();
+    
+    // Sidans titel blir förslaget på filnamn när rapporten sparas som PDF
+    const originalTitle = document.title;
+    document.title = `Bashins Budget – rapport ${formatReportPeriod(readReportPeriod())}`;
+    window.addEventListener('afterprint', () => { document.title = originalTitle; }, { once: true });
+    window.print();
 }
 
 /**
- * Uppdaterar total summering (inkomster - utgifter)
+ * Exporterar vald tabell som CSV för Excel/Google Sheets
  */
-function updateTotals() {
-    // Beräkna totals
-    const totalIncome = calculateTotalIncome();
-    const totalExpenses = calculateTotalExpenses();
-    const remaining = totalIncome - totalExpenses;
-    
-    // Uppdatera total inkomst
-    const totalIncomeElement = document.getElementById('totalIncome');
-    if (totalIncomeElement) {
-        totalIncomeElement.textContent = formatCurrency(totalIncome);
-    }
+function onCsvExport() {
+    const type = document.getElementById('csvExportType')?.value || 'expenses';
+    const from = document.getElementById('csvExportFrom')?.value || '';
+    const to = document.getElementById('csvExportTo')?.value || '';
     
-    // Uppdatera summary breakdown
-    const summaryIncomeElement = document.getElementById('summaryIncome');
-    if (summaryIncomeElement) {
-        summaryIncomeElement.textContent = formatCurrency(totalIncome);
+    if (from && to && from > to) {
+        showMessage('Från-datumet måste vara före till-datumet.', 'error');
+        return;
     }
     
-    const summaryExpensesElement = document.getElementById('summaryExpenses');
-    if (summaryExpensesElement) {
-        summaryExpensesElement.textContent = formatCurrency(totalExpenses);
-    }
+    const exports = {
+        expenses: { label: 'utgifter', build: buildExpenseCsvRows },
+        incomes: { label: 'inkomster', build: buildIncomeCsvRows },
+        budget: { label: 'budget', build: buildBudgetCsvRows }
+    };
+    const selected = exports[type];
+    if (!selected) return;
     
-    // Uppdatera kvarvarande
-    const totalElement = document.getElementById('totalRemaining');
-    if (totalElement) {
-        // Visar beloppet med minus om negativt
-        if (remaining < 0) {
-            totalElement.textContent = '-' + formatCurrency(Math.abs(remaining));
-        } else {
-            totalElement.textContent = formatCurrency(remaining);
+    try {
+        const rows = selected.build(from, to);
+        if (rows.length <= 1) {
+            showMessage('Det finns inget att exportera för vald period.', 'info');
+            return;
         }
         
-        // Färgkodning för kvarvarande
-        if (remaining < 0) {
-            totalElement.style.color = '#dc3545'; // Röd för negativt
-        } else {
-            totalElement.style.color = '#28a745'; // Grön för positivt
-        }
+        // BOM så att Excel läser filen som UTF-8 (å, ä, ö)
+        const csv = '\uFEFF' + toCsv(rows) + '\r\n';
+        const period = from || to ? `${from || 'start'}_${to || 'idag'}` : new Date().toISOString().split('T')[0];
+        downloadFile(csv, `bashins-budget-${selected.label}-${period}.csv`, 'text/csv;charset=utf-8');
+        
+        toggleCsvExportDialog(false);
+        showMessage(`${rows.length - 1} rader har exporterats som CSV-fil!`, 'success');
+    } catch (error) {
+        console.error('Fel vid CSV-export:', error);
+        showMessage('Kunde inte exportera data.', 'error');
     }
 }
 
-// ===== EVENT HANDLERS =====
-
 /**
- * Startar appen - visar dashboard
+ * Öppnar filväljaren för import
  */
-function onStart() {
-    const startCard = document.getElementById('startCard');
-    const dashboard = document.getElementById('dashboard');
-    
-    if (startCard && dashboard) {
-        startCard.style.display = 'none';
-        dashboard.style.display = 'block';
-        renderAll();
+function onImportClick() {
+    const input = document.getElementById('importFile');
+    if (input) {
+        input.value = ''; // Så att samma fil kan väljas igen
+        input.click();
     }
 }
 
 /**
- * Laddar tidigare data om det finns
+ * Läser in vald JSON-fil, validerar den och visar förhandsgranskning
  */
-function onLoad() {
-    const hasData = loadState();
-    if (hasData) {
-        onStart();
-        showMessage('Tidigare data har laddats!', 'success');
-    } else {
-        showMessage('Ingen tidigare data hittades. Startar med standardinställningar.', 'info');
-        onStart();
+async function onImportFileSelected(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    
+    try {
+        const text = await file.text();
+        
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            showMessage('Filen är inte giltig JSON.', 'error');
+            return;
+        }
+        
+        if (isLockedData(parsed)) {
+            parsed = await unlockData(parsed, {
+                title: '🔒 Krypterad fil',
+                message: `${file.name} är krypterad. Skriv lösenfrasen som valdes vid exporten.`,
+                confirmLabel: 'Öppna'
+            });
+            if (parsed === null) return;
+        }
+        
+        const errors = validateImportData(parsed);
+        if (errors.length > 0) {
+            const shown = errors.slice(0, 5).join('\n');
+            const more = errors.length > 5 ? `\n...och ${errors.length - 5} fel till.` : '';
+            showMessage(`Filen kunde inte importeras:\n${shown}${more}`, 'error');
+            return;
+        }
+        
+        pendingImport = normalizeState(migrateState(parsed));
+        pendingImportReceipts = Object.fromEntries(
+            Object.entries(parsed.receipts && typeof parsed.receipts === 'object' ? parsed.receipts : {})
+                .filter(([, image]) => isReceiptImage(image))
+        );
+        renderImportPreview(file.name, summarizeImport(pendingImport));
+        toggleImportDialog(true);
+    } catch (error) {
+        console.error('Fel vid import:', error);
+        showMessage('Kunde inte läsa filen.', 'error');
     }
 }
 
 /**
- * Lägger till ny utgift
+ * Genomför importen
+ * @param {string} mode - 'merge' för att slå ihop, 'replace' för att ersätta
  */
-function onAddExpense() {
-    const category = document.getElementById('expenseCategory')?.value;
-    const desc = document.getElementById('expenseDesc')?.value?.trim();
-    const amount = document.getElementById('expenseAmount')?.value;
+async function onImportConfirm(mode) {
+    if (!pendingImport) return;
     
-    if (!category) {
-        showMessage('Välj en kategori för utgiften.', 'error');
-        return;
+    if (mode === 'replace') {
+        const confirmed = await confirmDialog('All nuvarande data ersätts med filens innehåll. Vill du fortsätta?', {
+            title: 'Ersätta all data?',
+            confirmLabel: 'Ersätt allt',
+            danger: true
+        });
+        if (!confirmed || !pendingImport) return;
     }
     
-    const numAmount = toNumber(amount);
-    if (numAmount <= 0) {
-        showMessage('Ange ett giltigt belopp (större än 0).', 'error');
+    // Kvittona sparas först så att de importerade utgifterna inte pekar på något som saknas
+    const receiptIds = Object.keys(pendingImportReceipts);
+    if (receiptIds.length > 0) {
+        receiptIds.forEach(id => unattachedReceiptIds.add(id));
+        try {
+            await saveReceiptImages(pendingImportReceipts);
+        } catch (error) {
+            console.error('Fel vid import av kvitton:', error);
+            releaseUnattachedReceipts(receiptIds);
+            showMessage('Kvittona i filen kunde inte sparas. Kontrollera att webbläsaren har tillräckligt med utrymme.', 'error');
+            return;
+        }
+    }
+    if (!pendingImport) {
+        releaseUnattachedReceipts(receiptIds);
         return;
     }
     
-    const expense = {
-        id: generateId(),
-        category: category,
-        amount: numAmount,
-        desc: desc || 'Ingen beskrivning',
-        date: new Date().toISOString()
-    };
-    
-    state.expenses.push(expense);
-    
-    // Rensa formulär
-    document.getElementById('expenseDesc').value = '';
-    document.getElementById('expenseAmount').value = '';
-    
+    const before = { expenses: state.expenses.length, incomes: state.incomes.length };
+    recordUndo(mode === 'replace' ? 'import som ersatte all data' : 'import');
+    state = mode === 'replace' ? pendingImport : mergeImportedState(pendingImport);
+    releaseUnattachedReceipts(receiptIds);
+    toggleImportDialog(false);
     renderAll();
     
-    // Auto-save för att säkerställa att inget försvinner
-    const saved = saveState();
-    if (saved) {
-        markUnsavedChanges(); // Markera ändring för påminnelse-systemet
-        showMessage(`Utgift på ${formatCurrency(numAmount)} för ${category} har lagts till!`, 'success');
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    if (mode === 'replace') {
+        showMessage(`Datan har ersatts: ${state.expenses.length} utgifter och ${state.incomes.length} inkomster.`, 'success', { action: UNDO_ACTION });
     } else {
-        showMessage(`Utgift lagd till men kunde inte sparas automatiskt. Klicka "Spara" för att säkerställa sparning.`, 'error');
+        const addedExpenses = state.expenses.length - before.expenses;
+        const addedIncomes = state.incomes.length - before.incomes;
+        showMessage(`Importen klar: ${addedExpenses} nya utgifter och ${addedIncomes} nya inkomster.`, 'success', { action: UNDO_ACTION });
     }
 }
 
 /**
- * Lägger till ny inkomst
+ * Öppnar filväljaren för kontoutdrag
  */
-function onAddIncome() {
-    const source = document.getElementById('incomeSource')?.value;
-    const amount = document.getElementById('incomeAmount')?.value;
+function onCsvImportClick() {
+    const input = document.getElementById('csvFile');
+    if (input) {
+        input.value = '';
+        input.click();
+    }
+}
+
+/**
+ * Läser in vald CSV-fil och visar kolumnmappningen
+ */
+async function onCsvFileSelected(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
     
-    if (!source) {
-        showMessage('Välj en inkomstkälla.', 'error');
+    try {
+        const text = await readTextFile(file);
+        const rows = parseCsv(text, detectCsvDelimiter(text));
+        
+        // Vissa banker har en rad med kontoinformation före rubrikerna
+        const headerIndex = rows.findIndex(row => row.length >= 3);
+        if (headerIndex === -1 || headerIndex === rows.length - 1) {
+            showMessage('Hittade inga transaktioner i filen. Kontrollera att det är en CSV-fil från banken.', 'error');
+            return;
+        }
+        
+        const headers = rows[headerIndex].map(h => h.trim());
+        pendingCsv = {
+            fileName: file.name,
+            headers,
+            rows: rows.slice(headerIndex + 1)
+        };
+        renderCsvMapping(headers, guessCsvMapping(headers));
+        showCsvStep('mapping');
+    } catch (error) {
+        console.error('Fel vid läsning av CSV:', error);
+        showMessage('Kunde inte läsa filen.', 'error');
+    }
+}
+
+/**
+ * Tolkar raderna enligt vald kolumnmappning och visar granskningen
+ */
+function onCsvMappingNext() {
+    if (!pendingCsv) return;
+    
+    const mapping = {
+        date: Number(document.getElementById('csvDateColumn')?.value),
+        desc: Number(document.getElementById('csvDescColumn')?.value),
+        amount: Number(document.getElementById('csvAmountColumn')?.value)
+    };
+    
+    if (mapping.date < 0 || mapping.amount < 0) {
+        showMessage('Välj vilka kolumner som innehåller datum och belopp.', 'error');
         return;
     }
     
-    const numAmount = toNumber(amount);
-    if (numAmount <= 0) {
-        showMessage('Ange ett giltigt belopp (större än 0).', 'error');
+    const { rows, skipped } = buildCsvReviewRows(pendingCsv.rows, mapping);
+    if (rows.length === 0) {
+        showMessage('Inga rader kunde tolkas. Kontrollera att rätt kolumner är valda.', 'error');
         return;
     }
+    if (skipped > 0) {
+        showMessage(`${skipped} rader saknade giltigt datum eller belopp och hoppas över.`, 'info');
+    }
     
-    const income = {
-        id: generateId(),
-        source: source,
-        amount: numAmount,
-        date: new Date().toISOString()
+    // Kom ihåg mappningen till nästa import från samma bank
+    state.csvMapping = {
+        date: pendingCsv.headers[mapping.date],
+        desc: mapping.desc >= 0 ? pendingCsv.headers[mapping.desc] : '',
+        amount: pendingCsv.headers[mapping.amount]
     };
     
-    state.incomes.push(income);
+    csvReviewRows = rows;
+    renderCsvReview();
+    showCsvStep('review');
+}
+
+/**
+ * Lägger till valda rader som utgifter och inkomster
+ */
+function onCsvCommit() {
+    const included = csvReviewRows.filter(row => row.include);
+    if (included.length === 0) {
+        showMessage('Inga rader är valda.', 'error');
+        return;
+    }
     
-    // Rensa formulär
-    document.getElementById('incomeAmount').value = '';
+    recordUndo('import av kontoutdrag');
+    included.forEach(row => {
+        if (row.type === 'expense') {
+            state.expenses.push({
+                id: generateId(),
+                category: row.category,
+                amount: row.amount,
+                desc: row.desc || 'Ingen beskrivning',
+                date: row.date
+            });
+            
+            // Lär in valet så att samma butik hamnar rätt nästa gång
+            const key = getMerchantKey(row.desc);
+            if (key) state.categoryRules[key] = row.category;
+        } else {
+            state.incomes.push({
+                id: generateId(),
+                source: row.category,
+                amount: row.amount,
+                desc: row.desc,
+                date: row.date
+            });
+        }
+    });
     
+    showCsvStep(null);
     renderAll();
     
-    // Auto-save för att säkerställa att inget försvinner
-    const saved = saveState();
-    if (saved) {
-        markUnsavedChanges(); // Markera ändring för påminnelse-systemet
-        showMessage(`Inkomst på ${formatCurrency(numAmount)} från ${source} har lagts till!`, 'success');
-    } else {
-        showMessage(`Inkomst lagd till men kunde inte sparas automatiskt. Klicka "Spara" för att säkerställa sparning.`, 'error');
-    }
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    showMessage(`${included.length} transaktioner har importerats från kontoutdraget!`, 'success', { action: UNDO_ACTION });
 }
 
-
 /**
- * Tar bort en utgift
+ * Skapar en säkerhetskopia av nuvarande data direkt
  */
-function deleteExpense(expenseId) {
-    if (confirm('Är du säker på att du vill ta bort denna utgift?')) {
-        state.expenses = state.expenses.filter(exp => exp.id !== expenseId);
-        renderAll();
-        
-        // Auto-save för att säkerställa att inget försvinner
-        const saved = saveState();
-        if (saved) {
-            markUnsavedChanges(); // Markera ändring för påminnelse-systemet
-            showMessage('Utgiften har tagits bort.', 'success');
-        } else {
-            showMessage('Utgiften togs bort men kunde inte sparas automatiskt. Klicka "Spara" för att säkerställa sparning.', 'error');
-        }
+async function onCreateBackup() {
+    if (!saveState() || !(await flushSave())) {
+        showMessage('Kunde inte spara data - säkerhetskopian skapades inte.', 'error');
+        return;
+    }
+    
+    if (await createBackup(await sealText(serializeState()), 'manual')) {
+        await renderBackupList();
+        showMessage('Säkerhetskopian har skapats.', 'success');
+    } else {
+        showMessage('Det finns inte plats för fler säkerhetskopior i webbläsaren.', 'error');
     }
 }
 
 /**
- * Tar bort en inkomst
+ * Ersätter nuvarande data med en säkerhetskopia
+ * @param {string} id - Säkerhetskopians id
  */
-function deleteIncome(incomeId) {
-    if (confirm('Är du säker på att du vill ta bort denna inkomst?')) {
-        state.incomes = state.incomes.filter(inc => inc.id !== incomeId);
-        renderAll();
-        
-        // Auto-save för att säkerställa att inget försvinner
-        const saved = saveState();
-        if (saved) {
-            markUnsavedChanges(); // Markera ändring för påminnelse-systemet
-            showMessage('Inkomsten har tagits bort.', 'success');
-        } else {
-            showMessage('Inkomsten togs bort men kunde inte sparas automatiskt. Klicka "Spara" för att säkerställa sparning.', 'error');
+async function onRestoreBackup(id) {
+    const backup = (await getBackups()).find(b => b.id === id);
+    if (!backup) return;
+    
+    let restored;
+    try {
+        let parsed = JSON.parse(backup.data);
+        if (isLockedData(parsed)) {
+            parsed = await unlockData(parsed, {
+                title: '🔒 Krypterad säkerhetskopia',
+                message: 'Skriv lösenfrasen som användes när kopian sparades.',
+                confirmLabel: 'Öppna'
+            });
+            if (parsed === null) return;
         }
+        restored = normalizeState(migrateState(parsed));
+    } catch (error) {
+        console.error('Fel vid återställning av säkerhetskopia:', error);
+        showMessage(error instanceof SyntaxError ? 'Säkerhetskopian är skadad och kan inte återställas.' : error.message, 'error');
+        return;
     }
+    
+    const confirmed = await confirmDialog(`All nuvarande data ersätts med säkerhetskopian (${restored.expenses.length} utgifter, ${restored.incomes.length} inkomster).`, {
+        title: 'Återställa säkerhetskopia?',
+        confirmLabel: 'Återställ',
+        danger: true
+    });
+    if (!confirmed) return;
+    
+    recordUndo('återställning från säkerhetskopia');
+    state = restored;
+    toggleBackupDialog(false);
+    renderAll();
+    
+    saveState();
+    markUnsavedChanges(); // Markera ändring för påminnelse-systemet
+    showMessage('Säkerhetskopian har återställts.', 'success', { action: UNDO_ACTION });
 }
 
 /**
- * Exporterar data som JSON-fil
+ * Ctrl+Z ångrar och Ctrl+Shift+Z gör om. I textfält gäller webbläsarens egen ångra,
+ * och medan en dialog är öppen görs ingenting.
+ * @param {KeyboardEvent} e - Tangenthändelsen
  */
-function onExport() {
-    try {
-        const dataStr = JSON.stringify(state, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(dataBlob);
-        
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `bashins-budget-${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-        
-        showMessage('Data har exporterats som JSON-fil!', 'success');
-    } catch (error) {
-        console.error('Fel vid export:', error);
-        showMessage('Kunde inte exportera data.', 'error');
+function onUndoShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+    if (e.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+    // En öppen dialog kan peka på data som ångra skulle byta ut under den
+    if (document.querySelector('.modal-overlay:not([hidden])')) return;
+    
+    e.preventDefault();
+    if (e.shiftKey) {
+        redo();
+    } else {
+        undo();
     }
 }
 
 /**
  * Sparar budget explicit (användarbekräftelse) - dubbelkolla sparning
  */
-function onSaveBudget() {
-    const saved = saveState();
+async function onSaveBudget() {
+    const saved = saveState() && await flushSave();
     if (saved) {
         showMessage('Budget sparad! Du kan nu återbesöka denna budget senare. 💛', 'success');
     } else {
@@ -669,8 +8470,8 @@ function onSaveBudget() {
 /**
  * Sparar data explicit (användarbekräftelse) - dubbelkolla att allt sparas
  */
-function onSaveClick() {
-    const saved = saveState();
+async function onSaveClick() {
+    const saved = saveState() && await flushSave();
     if (saved) {
         showMessage('All data är säkert sparad! 💛', 'success');
     } else {
@@ -694,9 +8495,232 @@ function initializeApp() {
     document.getElementById('addIncomeBtn')?.addEventListener('click', onAddIncome);
     document.getElementById('saveBudgetBtn')?.addEventListener('click', onSaveBudget);
     document.getElementById('exportBtn')?.addEventListener('click', onExport);
+    document.getElementById('csvExportBtn')?.addEventListener('click', () => toggleCsvExportDialog(true));
+    document.getElementById('csvExportConfirmBtn')?.addEventListener('click', onCsvExport);
+    document.getElementById('csvExportCancelBtn')?.addEventListener('click', () => toggleCsvExportDialog(false));
+    document.getElementById('csvExportDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') toggleCsvExportDialog(false);
+    });
+    document.getElementById('reportBtn')?.addEventListener('click', () => toggleReportDialog(true));
+    document.getElementById('reportType')?.addEventListener('change', () => {
+        updateReportPeriodFields();
+        renderReport();
+    });
+    ['reportMonth', 'reportYear'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', renderReport);
+    });
+    document.getElementById('reportPrintBtn')?.addEventListener('click', onPrintReport);
+    document.getElementById('reportCloseBtn')?.addEventListener('click', () => toggleReportDialog(false));
+    document.getElementById('reportDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') toggleReportDialog(false);
+    });
+    document.getElementById('importBtn')?.addEventListener('click', onImportClick);
+    document.getElementById('importFile')?.addEventListener('change', onImportFileSelected);
+    document.getElementById('importMergeBtn')?.addEventListener('click', () => onImportConfirm('merge'));
+    document.getElementById('importReplaceBtn')?.addEventListener('click', () => onImportConfirm('replace'));
+    document.getElementById('importCancelBtn')?.addEventListener('click', () => toggleImportDialog(false));
+    document.getElementById('importDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') toggleImportDialog(false);
+    });
+    
+    // Bankimport (CSV)
+    document.getElementById('csvImportBtn')?.addEventListener('click', onCsvImportClick);
+    document.getElementById('csvFile')?.addEventListener('change', onCsvFileSelected);
+    document.getElementById('csvMappingNextBtn')?.addEventListener('click', onCsvMappingNext);
+    document.getElementById('csvBackBtn')?.addEventListener('click', () => showCsvStep('mapping'));
+    document.getElementById('csvCommitBtn')?.addEventListener('click', onCsvCommit);
+    document.getElementById('csvCancelBtn')?.addEventListener('click', () => showCsvStep(null));
+    document.getElementById('csvReviewCancelBtn')?.addEventListener('click', () => showCsvStep(null));
+    document.getElementById('csvDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') showCsvStep(null);
+    });
     document.getElementById('resetBtn')?.addEventListener('click', resetState);
+    
+    // Säkerhetskopior
+    document.getElementById('backupBtn')?.addEventListener('click', () => toggleBackupDialog(true));
+    document.getElementById('backupCreateBtn')?.addEventListener('click', onCreateBackup);
+    document.getElementById('backupCloseBtn')?.addEventListener('click', () => toggleBackupDialog(false));
+    document.getElementById('backupDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') toggleBackupDialog(false);
+    });
+    
+    // Profiler
+    document.getElementById('profileSelect')?.addEventListener('change', onProfileSelectChange);
+    document.getElementById('profileManageBtn')?.addEventListener('click', () => toggleProfileDialog(true));
+    document.getElementById('profileCreateBtn')?.addEventListener('click', () => onCreateProfile(false));
+    document.getElementById('profileDuplicateBtn')?.addEventListener('click', () => onCreateProfile(true));
+    document.getElementById('profileCloseBtn')?.addEventListener('click', () => toggleProfileDialog(false));
+    document.getElementById('newProfileName')?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') onCreateProfile(false);
+    });
+    document.getElementById('profileDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') toggleProfileDialog(false);
+    });
+    
+    // Kryptering: lösenfrasdialog, krypterad export och applås
+    document.getElementById('passphraseOkBtn')?.addEventListener('click', onSubmitPassphrase);
+    document.getElementById('passphraseCancelBtn')?.addEventListener('click', () => closePassphraseDialog(null));
+    document.getElementById('passphraseDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closePassphraseDialog(null);
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT') onSubmitPassphrase();
+    });
+    document.getElementById('exportEncryptedBtn')?.addEventListener('click', onExportEncrypted);
+    document.getElementById('lockBtn')?.addEventListener('click', () => toggleLockDialog(true));
+    document.getElementById('lockToggleBtn')?.addEventListener('click', onToggleAppLock);
+    document.getElementById('lockCloseBtn')?.addEventListener('click', () => toggleLockDialog(false));
+    document.getElementById('lockDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') toggleLockDialog(false);
+    });
+    
+    // Skriv schemalagda sparningar direkt när sidan stängs eller läggs i bakgrunden
+    const flushPendingSave = () => {
+        if (saveTimer) flushSave();
+    };
+    window.addEventListener('pagehide', flushPendingSave);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushPendingSave();
+    });
+    
+    // Ångra / gör om
+    document.getElementById('undoBtn')?.addEventListener('click', undo);
+    document.getElementById('redoBtn')?.addEventListener('click', redo);
+    document.addEventListener('keydown', onUndoShortcut);
+    loadUndoHistory();
+    
+    // Bekräftelsedialog
+    document.getElementById('confirmOkBtn')?.addEventListener('click', () => closeConfirmDialog(true));
+    document.getElementById('confirmCancelBtn')?.addEventListener('click', () => closeConfirmDialog(false));
+    document.getElementById('confirmDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeConfirmDialog(false);
+    });
     document.getElementById('saveBtn')?.addEventListener('click', onSaveClick);
     
+    // Historik
+    ['historySearch', 'historyMinAmount', 'historyMaxAmount'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', onHistoryFilterChange);
+    });
+    ['historyType', 'historyCategory', 'historyTag', 'historyFrom', 'historyTo'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', onHistoryFilterChange);
+    });
+    document.getElementById('historyResetBtn')?.addEventListener('click', onHistoryReset);
+    document.getElementById('historyPrevBtn')?.addEventListener('click', () => onHistoryPage(-1));
+    document.getElementById('historyNextBtn')?.addEventListener('click', () => onHistoryPage(1));
+    document.querySelectorAll('#historyTable th[data-sort]').forEach(th => {
+        th.querySelector('button')?.addEventListener('click', () => onHistorySort(th.dataset.sort));
+    });
+    
+    // Återkommande transaktioner
+    document.getElementById('addRecurringBtn')?.addEventListener('click', () => openRecurringDialog());
+    document.getElementById('recurringType')?.addEventListener('change', () => populateRecurringCategorySelect(null));
+    document.getElementById('recurringFrequency')?.addEventListener('change', updateRecurringIntervalField);
+    document.getElementById('recurringSaveBtn')?.addEventListener('click', onSaveRecurring);
+    document.getElementById('recurringCancelBtn')?.addEventListener('click', closeRecurringDialog);
+    document.getElementById('recurringDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeRecurringDialog();
+    });
+    
+    // Budgetvarningar
+    document.getElementById('thresholdsBtn')?.addEventListener('click', () => toggleThresholdDialog(true));
+    document.getElementById('thresholdSaveBtn')?.addEventListener('click', onSaveThresholds);
+    document.getElementById('thresholdCancelBtn')?.addEventListener('click', () => toggleThresholdDialog(false));
+    document.getElementById('thresholdDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') toggleThresholdDialog(false);
+    });
+    
+    // Analys
+    document.getElementById('analyticsMonths')?.addEventListener('change', onAnalyticsSettingsChange);
+    document.getElementById('analyticsCategory')?.addEventListener('change', onAnalyticsSettingsChange);
+    
+    // Sparmål
+    document.getElementById('expenseCategory')?.addEventListener('change', updateExpenseGoalField);
+    document.getElementById('addGoalBtn')?.addEventListener('click', () => openGoalDialog());
+    document.getElementById('goalSaveBtn')?.addEventListener('click', onSaveGoal);
+    document.getElementById('goalCancelBtn')?.addEventListener('click', closeGoalDialog);
+    document.getElementById('goalDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeGoalDialog();
+    });
+    document.getElementById('contributionSaveBtn')?.addEventListener('click', onSaveContribution);
+    document.getElementById('contributionCancelBtn')?.addEventListener('click', closeContributionDialog);
+    document.getElementById('contributionDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeContributionDialog();
+    });
+    
+    // Delade utgifter
+    document.getElementById('addPersonBtn')?.addEventListener('click', onAddPerson);
+    document.getElementById('newPersonName')?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') onAddPerson();
+    });
+    
+    // Valuta
+    populateCurrencySelects();
+    ['Currency', 'Rate', 'Amount'].forEach(field => {
+        ['expense', 'edit'].forEach(prefix => {
+            const eventName = field === 'Currency' ? 'change' : 'input';
+            document.getElementById(`${prefix}${field}`)?.addEventListener(eventName, () => updateCurrencyFields(prefix));
+        });
+    });
+    
+    // Kvitton
+    ['expense', 'edit'].forEach(prefix => {
+        ['Camera', 'File'].forEach(source => {
+            const input = document.getElementById(`${prefix}Receipt${source}`);
+            document.getElementById(`${prefix}Receipt${source}Btn`)?.addEventListener('click', () => {
+                if (!input) return;
+                input.value = ''; // Så att samma bild kan väljas igen
+                input.click();
+            });
+            input?.addEventListener('change', (e) => addReceiptFiles(prefix, [...e.target.files]));
+        });
+    });
+    document.getElementById('receiptCloseBtn')?.addEventListener('click', closeReceiptViewer);
+    document.getElementById('receiptDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeReceiptViewer();
+    });
+    
+    // Fördelning på flera kategorier: "kvar att fördela" följer beloppet
+    ['expense', 'edit'].forEach(prefix => {
+        ['Amount', 'Rate', 'Currency'].forEach(field => {
+            const eventName = field === 'Currency' ? 'change' : 'input';
+            document.getElementById(`${prefix}${field}`)?.addEventListener(eventName, () => {
+                if (allocationDrafts[prefix].length > 0) renderAllocationFields(prefix);
+            });
+        });
+    });
+    renderAllocationFields('expense');
+    
+    // Ändra transaktion
+    document.getElementById('editSaveBtn')?.addEventListener('click', onSaveEdit);
+    document.getElementById('editCancelBtn')?.addEventListener('click', closeEditDialog);
+    document.getElementById('editAmount')?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') onSaveEdit();
+    });
+    document.getElementById('editCategory')?.addEventListener('change', () => {
+        updateEditGoalField(findTransaction(editingTransaction?.type, editingTransaction?.id)?.goalId);
+    });
+    document.getElementById('editDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeEditDialog();
+    });
+    
+    // Kategorieditor
+    document.getElementById('manageCategoriesBtn')?.addEventListener('click', () => toggleCategoryDialog(true));
+    document.getElementById('categoryCloseBtn')?.addEventListener('click', () => toggleCategoryDialog(false));
+    document.getElementById('addExpenseCategoryBtn')?.addEventListener('click', () => onAddCategory('expense'));
+    document.getElementById('addIncomeCategoryBtn')?.addEventListener('click', () => onAddCategory('income'));
+    document.getElementById('newExpenseCategory')?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') onAddCategory('expense');
+    });
+    document.getElementById('newIncomeCategory')?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') onAddCategory('income');
+    });
+    document.getElementById('categoryDialog')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') toggleCategoryDialog(false);
+    });
+    
+    // Månadsväljare
+    document.getElementById('monthPicker')?.addEventListener('change', onMonthChange);
+    document.getElementById('prevMonthBtn')?.addEventListener('click', () => setSelectedMonth(shiftMonth(selectedMonth, -1)));
+    document.getElementById('nextMonthBtn')?.addEventListener('click', () => setSelectedMonth(shiftMonth(selectedMonth, 1)));
+    
     // Enter-tangent för formulär
     document.getElementById('expenseAmount')?.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') onAddExpense();
@@ -710,6 +8734,9 @@ function initializeApp() {
     
     // Starta påminnelse-systemet
     markSavedChanges(); // Initiera som sparad från början
+    
+    // Offline-stöd och frågan om nya versioner
+    registerServiceWorker();
 }
 
 // Starta appen när DOM är redo
@@ -0,0 +1,93 @@
+/*
+Bashins Budget - Service Worker
+Cachar appens filer så att den fungerar helt utan internet.
+Höj CACHE_VERSION vid varje ny version så att appen erbjuder uppdateringen.
+*/
+
+const CACHE_VERSION = 'v1';
+const CACHE_NAME = `bashins-budget-${CACHE_VERSION}`;
+const FONT_CACHE = 'bashins-budget-fonts';
+
+// Appens skal - allt som behövs för att starta utan nätverk
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png'
+];
+
+// Typsnitten hämtas från Google Fonts och sparas första gången de laddas
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    // Ny version väntar tills användaren väljer att uppdatera (se SKIP_WAITING)
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Ta bort cachar från tidigare versioner
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== CACHE_NAME && key !== FONT_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+        return;
+    }
+    if (url.origin !== self.location.origin) return;
+    
+    // Sidan själv: alltid versionen i cachen så att appen startar direkt även med dålig täckning
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('index.html', { cacheName: CACHE_NAME }).then(cached => cached || fetch(request))
+        );
+        return;
+    }
+    
+    event.respondWith(
+        caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: true }).then(cached => cached || fetch(request))
+    );
+});
+
+/**
+ * Svarar från cachen om det finns och uppdaterar cachen i bakgrunden
+ * @param {Request} request - Förfrågan
+ * @param {string} cacheName - Cachen som används
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    return cached || network;
+}